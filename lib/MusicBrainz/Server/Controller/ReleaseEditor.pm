@@ -15,6 +15,7 @@ use MusicBrainz::Server::CGI::Expand qw( expand_hash );
 use MusicBrainz::Server::Track qw( unformat_track_length );
 use MusicBrainz::Server::Translation qw( l );
 use MusicBrainz::Server::Data::Utils qw( sanitize trim );
+use MusicBrainz::Server::Validation qw( format_isrc is_valid_isrc );
 use MusicBrainz::Server::Form::Utils qw(
     language_options
     script_options
@@ -113,7 +114,19 @@ sub _seeded_data
 {
     my ($self, $c) = @_;
 
-    my $params = expand_hash($c->req->body_params) // {};
+    my $params;
+    my $json = $c->req->body_params->{json};
+
+    if (defined $json) {
+        # A JSON document with the same fields as the form-encoded keys.
+        $params = try { $c->json->decode($json) };
+
+        unless (ref($params) eq 'HASH') {
+            return { seed => {}, errors => ['The json field must contain a JSON object.'] };
+        }
+    } else {
+        $params = expand_hash($c->req->body_params) // {};
+    }
 
     my $release_group_gid = $c->req->query_params->{'release-group'};
     my $artist_gid = $c->req->query_params->{'artist'};
@@ -123,7 +136,12 @@ sub _seeded_data
     $params->{artist_credit} = { names => [ { mbid => $artist_gid } ] } if $artist_gid;
     $params->{labels} = [ { mbid => $label_gid } ] if $label_gid;
 
-    return $self->_process_seeded_data($c, $params);
+    my $result = $self->_process_seeded_data($c, $params);
+
+    # Validated against the seed schema by the release editor.
+    $result->{json} = $json if defined $json;
+
+    return $result;
 }
 
 sub _process_seeded_data
@@ -468,7 +486,7 @@ sub _seeded_track
 {
     my ($c, $params, $field_name, $errors) = @_;
 
-    my @known_fields = qw( name number recording length artist_credit pregap );
+    my @known_fields = qw( name number recording length artist_credit pregap isrcs );
     _report_unknown_fields($field_name, $params, $errors, @known_fields);
 
     my $result = {};
@@ -512,6 +530,23 @@ sub _seeded_track
         }
     }
 
+    if (defined(my $isrcs = $params->{isrcs})) {
+        my @isrcs = ref($isrcs) eq 'ARRAY' ? @$isrcs : ($isrcs);
+        my %seen;
+
+        for (my $i = 0; $i < @isrcs; $i++) {
+            my $isrc = _seeded_string($isrcs[$i], "$field_name.isrcs.$i", $errors);
+            next unless defined $isrc;
+
+            my $formatted = format_isrc($isrc);
+            if (is_valid_isrc($formatted)) {
+                push @{ $result->{isrcs} }, $formatted unless $seen{$formatted}++;
+            } else {
+                push @$errors, "Invalid $field_name.isrcs.$i: “$isrc”.";
+            }
+        }
+    }
+
     if (my $pregap = $params->{pregap}) {
         $result->{position} = 0;
     }
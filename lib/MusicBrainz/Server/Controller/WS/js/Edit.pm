@@ -688,7 +688,11 @@ sub submit_edits {
         my $response;
 
         if (defined $edit) {
-            $response = { edit_type => $edit->edit_type, response => $WS_EDIT_RESPONSE_OK };
+            $response = {
+                edit_id => $edit->id,
+                edit_type => $edit->edit_type,
+                response => $WS_EDIT_RESPONSE_OK,
+            };
 
             if ($edit->isa('MusicBrainz::Server::Edit::Generic::Create') &&
                 !$edit->isa('MusicBrainz::Server::Edit::Relationship::Create')) {
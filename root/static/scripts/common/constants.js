@@ -238,6 +238,8 @@ export const MAX_LENGTH_DIFFERENCE = 10500;
 
 export const MAX_RECENT_ENTITIES = 10;
 
+export const MEDIUM_FORMAT_VINYL_ID = 7;
+
 export const MIN_NAME_SIMILARITY = 0.75;
 
 export const ENTITIES_WITH_RELATIONSHIP_CREDITS = {
@@ -61,3 +61,14 @@ export function localStorage(name: string, value?: string): string | void {
   }
   return store[name];
 }
+
+export function removeLocalStorage(name: string): void {
+  if (hasLocalStorage) {
+    try {
+      window.localStorage.removeItem(name);
+    } catch (e) {
+      // NOP
+    }
+  }
+  delete store[name];
+}
@@ -325,6 +325,133 @@ function findAmazonTld(url) {
   return tld;
 }
 
+/*
+ * Redirect wrappers added by sites to outgoing links; the URL they
+ * redirect to is given by one of the query parameters.
+ */
+const REDIRECT_WRAPPERS = [
+  {
+    match: /^(?:https?:\/\/)?(?:www\.)?google\.[a-z.]+\/url\?/i,
+    params: ['q', 'url'],
+  },
+  {
+    match: /^(?:https?:\/\/)?(?:l|lm)\.facebook\.com\/l\.php\?/i,
+    params: ['u'],
+  },
+  {
+    match: /^(?:https?:\/\/)?l\.instagram\.com\/\?/i,
+    params: ['u'],
+  },
+  {
+    match: /^(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com\/redirect\?/i,
+    params: ['q'],
+  },
+];
+
+// Google's AMP viewers, which serve a cached copy of another page.
+const AMP_VIEWERS = [
+  /^(?:https?:\/\/)?[^\/]+\.cdn\.ampproject\.org\/[a-z]\/(?:s\/)?(.+)$/i,
+  /^(?:https?:\/\/)?(?:www\.)?google\.[a-z.]+\/amp\/(?:s\/)?(.+)$/i,
+];
+
+const TRACKING_PARAMETER = new RegExp(
+  '^(?:utm_[a-z]+|fbclid|gclid|gclsrc|dclid|msclkid|yclid|igshid' +
+  '|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok)$',
+  'i',
+);
+
+const AMP_PARAMETER = /^(?:amp(?:=1|=true)?|outputType=amp)$/i;
+
+/*
+ * Sites where subdomains are user names, so "m." or "mobile." isn't a
+ * mobile version of the site.
+ */
+const USER_SUBDOMAIN_HOSTS = /(?:^|\.)(?:bandcamp|bigcartel|blogspot|livejournal|tumblr|wordpress)\.com$/i;
+
+function getQueryParameter(url, names) {
+  const query = url.replace(/^[^?]*\?/, '').replace(/#.*$/, '');
+  const params = new URLSearchParams(query);
+  for (const name of names) {
+    const value = params.get(name);
+    if (value) {
+      return value;
+    }
+  }
+  return null;
+}
+
+function unwrapRedirect(url) {
+  const wrapper = REDIRECT_WRAPPERS.find(x => x.match.test(url));
+  if (wrapper) {
+    const target = getQueryParameter(url, wrapper.params);
+    if (target && /^https?:\/\/[^\/]+\./i.test(target)) {
+      return target;
+    }
+    return null;
+  }
+  for (const viewer of AMP_VIEWERS) {
+    const m = viewer.exec(url);
+    if (m) {
+      return 'https://' + m[1];
+    }
+  }
+  return null;
+}
+
+/*
+ * Strips redirect wrappers, tracking parameters and mobile or AMP
+ * variants from any URL, before the cleanup for its site is applied.
+ * Returns the URL along with a list of what was stripped from it.
+ */
+export function preCleanURL(dirtyURL) {
+  const stripped = [];
+  let url = dirtyURL;
+
+  for (let target; (target = unwrapRedirect(url)); url = target) {
+    stripped.push({kind: 'redirect', value: url});
+  }
+
+  const m = url.match(/^((?:https?:\/\/)?)([^\/?#]+)([^?#]*)(?:\?([^#]*))?(#.*)?$/i);
+  if (!m) {
+    return {stripped, url};
+  }
+  let [/* url */, scheme, host, path, query, hash] = m;
+
+  if (!USER_SUBDOMAIN_HOSTS.test(host)) {
+    const mobileHost = host.replace(
+      /(^|\.)(?:m|mobile)\.(?=[^.]+\.[^.]+$|[^.]+\.[^.]+\.[^.]+$)/i,
+      '$1',
+    );
+    if (mobileHost !== host) {
+      stripped.push({kind: 'mobile', value: host});
+      host = mobileHost;
+    }
+  }
+
+  if (query != null) {
+    const params = query.split('&').filter(function (param) {
+      const name = param.replace(/=.*$/, '');
+      if (TRACKING_PARAMETER.test(name)) {
+        stripped.push({kind: 'tracking', value: param});
+        return false;
+      }
+      if (AMP_PARAMETER.test(param)) {
+        stripped.push({kind: 'amp', value: param});
+        return false;
+      }
+      return true;
+    });
+    query = params.length ? params.join('&') : null;
+  }
+
+  if (stripped.length) {
+    url = scheme + host + path +
+      (query == null ? '' : '?' + query) +
+      (hash || '');
+  }
+  return {stripped, url};
+}
+
 const linkToChannelMsg = N_l(
   `Please link to a channel, not a specific video.
    Videos should be linked to the appropriate
@@ -336,6 +463,74 @@ const linkToVideoMsg = N_l(
    to the relevant artist, label, etc. instead.`,
 );
 
+/*
+ * Builds a CLEANUPS entry from a site rule written as data:
+ *
+ * - hosts: Array of domain names. "www." is always optional, and a
+ *          leading "*." allows any subdomain.
+ * - paths: Array of {pattern, canonical} pairs. The first pattern
+ *          matching the whole path (with the query string) after the host
+ *          is used to clean the URL; $1, $2, etc. in the canonical URL
+ *          template are replaced with the pattern's captures.
+ * - entityTypes: Array of [prefix, entity types] pairs, where the prefix
+ *                is a string or regexp matched against the path of the
+ *                canonical URL. Clean URLs are only valid for the entity
+ *                types of the first matching prefix.
+ * - examples: Array of {input, entityType, clean, validFor} test cases,
+ *             run along with the other URLCleanup tests. `clean` is left
+ *             out for URLs which aren't cleaned, and `validFor` lists the
+ *             entity types the clean URL is valid for.
+ *
+ * A rule can also give its own match, clean or validate function where
+ * the site doesn't fit this format; it's used instead of the generated one.
+ */
+function declarativeCleanup(rule) {
+  const hostSource = '(' + rule.hosts.map(function (host) {
+    const subdomain = /^\*\./.test(host) ? '([^/]+\\.)?' : '(www\\.)?';
+    return subdomain + host.replace(/^\*\./, '').replace(/\./g, '\\.');
+  }).join('|') + ')/';
+  const hostRegExp = new RegExp('^(https?://)?' + hostSource, 'i');
+
+  function canonicalize(url) {
+    const path = url.replace(hostRegExp, '');
+    for (const {pattern, canonical} of rule.paths) {
+      const m = pattern.exec(path);
+      if (m) {
+        return canonical.replace(/\$(\d)/g, (_, i) => m[i] || '');
+      }
+    }
+    return null;
+  }
+
+  function entityTypeForLinkType(id) {
+    return Object.keys(rule.type).find(entityType => (
+      rule.type[entityType] === id
+    ));
+  }
+
+  return {
+    match: [hostRegExp],
+    clean: function (url) {
+      return canonicalize(url) || url;
+    },
+    validate: function (url, id) {
+      if (canonicalize(url) !== url) {
+        return {result: false};
+      }
+      const path = url.replace(hostRegExp, '');
+      const entry = rule.entityTypes.find(function ([prefix]) {
+        return typeof prefix === 'string'
+          ? path.startsWith(prefix)
+          : prefix.test(path);
+      });
+      return {
+        result: !!entry && entry[1].includes(entityTypeForLinkType(id)),
+      };
+    },
+    ...rule,
+  };
+}
+
 /*
  * CLEANUPS entries have 2 to 4 of the following properties:
  *
@@ -346,6 +541,8 @@ const linkToVideoMsg = N_l(
  * - clean: Function to clean up/normalize matched URL.
  * - validate: Function to validate matched (clean) URL
  *             for an auto-selected relationship type.
+ *
+ * Simpler sites can be described as data instead; see declarativeCleanup.
  */
 const CLEANUPS = {
   '7digital': {
@@ -363,54 +560,125 @@ const CLEANUPS = {
       return url;
     },
   },
-  '45cat': {
-    match: [new RegExp('^(https?://)?(www\\.)?45cat\\.com/', 'i')],
+  '45cat': declarativeCleanup({
+    hosts: ['45cat.com'],
     type: LINK_TYPES.otherdatabases,
-    clean: function (url) {
-      return url.replace(/^(?:https?:\/\/)?(?:www\.)?45cat\.com\/([a-z]+\/[^\/?&#]+)(?:[\/?&#].*)?$/, 'http://www.45cat.com/$1');
-    },
-    validate: function (url, id) {
-      const m = /^http:\/\/www\.45cat\.com\/([a-z]+)\/[^\/?&#]+$/.exec(url);
-      if (m) {
-        const prefix = m[1];
-        switch (id) {
-          case LINK_TYPES.otherdatabases.artist:
-            return {result: prefix === 'artist'};
-          case LINK_TYPES.otherdatabases.label:
-            return {result: prefix === 'label'};
-          case LINK_TYPES.otherdatabases.release_group:
-            return {result: prefix === 'record'};
-        }
-      }
-      return {result: false};
-    },
-  },
-  '45worlds': {
-    match: [new RegExp('^(https?://)?(www\\.)?45worlds\\.com/', 'i')],
+    paths: [
+      {
+        pattern: /^([a-z]+\/[^\/?&#]+)(?:[\/?&#].*)?$/,
+        canonical: 'http://www.45cat.com/$1',
+      },
+    ],
+    entityTypes: [
+      ['artist/', ['artist']],
+      ['label/', ['label']],
+      ['record/', ['release_group']],
+    ],
+    examples: [
+      {
+        input: 'https://www.45cat.com/artist/edwin-starr',
+        entityType: 'artist',
+        clean: 'http://www.45cat.com/artist/edwin-starr',
+        validFor: ['artist'],
+      },
+      {
+        input: 'www.45cat.com/label/eastwest/all',
+        entityType: 'label',
+        clean: 'http://www.45cat.com/label/eastwest',
+        validFor: ['label'],
+      },
+      {
+        input: 'http://45cat.com/record/vs1370&rc=365077#365077',
+        entityType: 'release_group',
+        clean: 'http://www.45cat.com/record/vs1370',
+        validFor: ['release_group'],
+      },
+      {
+        input: 'http://www.45cat.com/45_composer.php?tc=Floyd+Hunt',
+        entityType: 'artist',
+        validFor: [],
+      },
+    ],
+  }),
+  '45worlds': declarativeCleanup({
+    hosts: ['45worlds.com'],
     type: LINK_TYPES.otherdatabases,
-    clean: function (url) {
-      return url.replace(/^(?:https?:\/\/)?(?:www\.)?45worlds\.com\/([0-9a-z]+\/[a-z]+\/[^\/?&#]+)(?:[\/?&#].*)?$/, 'http://www.45worlds.com/$1');
-    },
-    validate: function (url, id) {
-      const m = /^http:\/\/www\.45worlds\.com\/([0-9a-z]+)\/([a-z]+)\/[^\/?&#]+$/.exec(url);
-      if (m) {
-        const prefix = m[2];
-        switch (id) {
-          case LINK_TYPES.otherdatabases.artist:
-            return {result: /^(artist|composer|conductor|orchestra|soloist)$/.test(prefix)};
-          case LINK_TYPES.otherdatabases.event:
-            return {result: prefix === 'listing'};
-          case LINK_TYPES.otherdatabases.label:
-            return {result: prefix === 'label'};
-          case LINK_TYPES.otherdatabases.place:
-            return {result: prefix === 'venue'};
-          case LINK_TYPES.otherdatabases.release_group:
-            return {result: /^(album|cd|media|music|record)$/.test(prefix)};
-        }
-      }
-      return {result: false};
-    },
-  },
+    paths: [
+      {
+        pattern: /^([0-9a-z]+\/[a-z]+\/[^\/?&#]+)(?:[\/?&#].*)?$/,
+        canonical: 'http://www.45worlds.com/$1',
+      },
+    ],
+    entityTypes: [
+      [/^[0-9a-z]+\/(artist|composer|conductor|orchestra|soloist)\//, ['artist']],
+      [/^[0-9a-z]+\/listing\//, ['event']],
+      [/^[0-9a-z]+\/label\//, ['label']],
+      [/^[0-9a-z]+\/venue\//, ['place']],
+      [/^[0-9a-z]+\/(album|cd|media|music|record)\//, ['release_group']],
+    ],
+    examples: [
+      {
+        input: 'http://www.45worlds.com/78rpm/artist/yehudi-menuhin',
+        entityType: 'artist',
+        clean: 'http://www.45worlds.com/78rpm/artist/yehudi-menuhin',
+        validFor: ['artist'],
+      },
+      {
+        input: 'https://45worlds.com/classical/artist/yehudi-menuhin',
+        entityType: 'artist',
+        clean: 'http://www.45worlds.com/classical/artist/yehudi-menuhin',
+        validFor: ['artist'],
+      },
+      {
+        input: 'www.45worlds.com/classical/soloist/yehudi-menuhin',
+        entityType: 'artist',
+        clean: 'http://www.45worlds.com/classical/soloist/yehudi-menuhin',
+        validFor: ['artist'],
+      },
+      {
+        input: 'http://www.45worlds.com/live/listing/rumer-fawcetts-field-2012&rc=186697#186697',
+        entityType: 'event',
+        clean: 'http://www.45worlds.com/live/listing/rumer-fawcetts-field-2012',
+        validFor: ['event'],
+      },
+      {
+        input: 'http://www.45worlds.com/tape/label/parlophone/all',
+        entityType: 'label',
+        clean: 'http://www.45worlds.com/tape/label/parlophone',
+        validFor: ['label'],
+      },
+      {
+        input: 'http://www.45worlds.com/live/venue/stadium-high-school-stadium',
+        entityType: 'place',
+        clean: 'http://www.45worlds.com/live/venue/stadium-high-school-stadium',
+        validFor: ['place'],
+      },
+      {
+        input: 'http://www.45worlds.com/vinyl/album/mfsl1100',
+        entityType: 'release_group',
+        clean: 'http://www.45worlds.com/vinyl/album/mfsl1100',
+        validFor: ['release_group'],
+      },
+      {
+        input: 'http://www.45worlds.com/12single/record/fu2t',
+        entityType: 'release_group',
+        clean: 'http://www.45worlds.com/12single/record/fu2t',
+        validFor: ['release_group'],
+      },
+      {
+        input: 'http://www.45worlds.com/cdsingle/cd/pwcd227',
+        entityType: 'release_group',
+        clean: 'http://www.45worlds.com/cdsingle/cd/pwcd227',
+        validFor: ['release_group'],
+      },
+      {
+        input: 'http://www.45worlds.com/classical/music/asd264',
+        entityType: 'release_group',
+        clean: 'http://www.45worlds.com/classical/music/asd264',
+        validFor: ['release_group'],
+      },
+    ],
+  }),
   'allmusic': {
     match: [new RegExp('^(https?://)?([^/]+\\.)?allmusic\\.com', 'i')],
     type: LINK_TYPES.allmusic,
@@ -3569,6 +3837,19 @@ export const validationRules = {};
 
 const CLEANUP_ENTRIES = Object.values(CLEANUPS);
 
+// The examples given by declarative rules, run as URLCleanup tests.
+export const cleanupExamples = Object.values(CLEANUPS).flatMap(
+  function (cleanup) {
+    const relationshipType = Object.keys(LINK_TYPES).find(
+      name => LINK_TYPES[name] === cleanup.type,
+    );
+    return (cleanup.examples || []).map(example => ({
+      ...example,
+      relationshipType,
+    }));
+  },
+);
+
 Object.values(LINK_TYPES).forEach(function (linkType) {
   Object.entries(linkType).forEach(function ([entityType, id]) {
     if (!validationRules[id]) {
@@ -3643,8 +3924,20 @@ export function guessType(sourceType, currentURL) {
   return cleanup && cleanup.type[sourceType];
 }
 
+/*
+ * Returns the name of the CLEANUPS entry matching a URL (e.g. "discogs"),
+ * which identifies the site it links to, if it's a known one.
+ */
+export function getSiteName(url) {
+  const name = Object.keys(CLEANUPS).find(function (name) {
+    return testAll(CLEANUPS[name].match, url);
+  });
+  return name || null;
+}
+
 export function cleanURL(dirtyURL) {
   dirtyURL = dirtyURL.trim().replace(/(%E2%80%8E|\u200E)$/, '');
+  dirtyURL = preCleanURL(dirtyURL).url;
 
   const cleanup = CLEANUP_ENTRIES.find(function (cleanup) {
     return cleanup.clean && testAll(cleanup.match, dirtyURL);
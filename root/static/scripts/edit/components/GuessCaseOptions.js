@@ -13,19 +13,29 @@ import expand2react from '../../common/i18n/expand2react';
 import bracketed from '../../common/utility/bracketed';
 import getBooleanCookie from '../../common/utility/getBooleanCookie';
 import setCookie from '../../common/utility/setCookie';
+import {
+  addException,
+  getExceptions,
+  removeException,
+} from '../../guess-case/exceptions';
 import * as modes from '../../guess-case/modes';
 import gc from '../../guess-case/MB/GuessCase/Main';
 
+import RemoveButton from './RemoveButton';
+
 /* eslint-disable flowtype/sort-keys */
 export type ActionT =
   | {+type: 'set-mode', +mode: string}
   | {+type: 'set-keep-upper-case', +enabled: boolean}
-  | {+type: 'set-upper-case-roman', +enabled: boolean};
+  | {+type: 'set-upper-case-roman', +enabled: boolean}
+  | {+type: 'add-exception', +exception: string}
+  | {+type: 'remove-exception', +exception: string};
 /* eslint-enable flowtype/sort-keys */
 
 export type DispatchT = (ActionT) => void;
 
 export type StateT = {
+  +exceptions: $ReadOnlyArray<string>,
   +keepUpperCase: boolean,
   +mode: string,
   +upperCaseRoman: boolean,
@@ -42,6 +52,7 @@ export type PropsT = $ReadOnly<{
 
 export function createInitialState(): StateT {
   return {
+    exceptions: getExceptions(),
     keepUpperCase: gc.CFG_UC_UPPERCASED,
     mode: gc.modeName,
     upperCaseRoman: getBooleanCookie('guesscase_roman'),
@@ -56,7 +67,7 @@ export function runReducer(
     case 'set-mode': {
       const modeName = action.mode;
       gc.modeName = modeName;
-      const mode = modes[modeName];
+      const mode = modes.getMode(modeName);
       gc.mode = mode;
       setCookie('guesscase_mode', modeName);
       state.mode = modeName;
@@ -75,15 +86,26 @@ export function runReducer(
       state.upperCaseRoman = enabled;
       break;
     }
+    case 'add-exception': {
+      state.exceptions = addException(action.exception);
+      break;
+    }
+    case 'remove-exception': {
+      state.exceptions = removeException(action.exception);
+      break;
+    }
   }
 }
 
 const GuessCaseOptions = ({
   dispatch,
+  exceptions,
   keepUpperCase,
   mode: modeName,
   upperCaseRoman,
 }: PropsT): React.Element<'div'> => {
+  const [newException, setNewException] = React.useState('');
+
   function handleModeChange(event) {
     const newModeName = event.target.value;
 
@@ -106,14 +128,34 @@ const GuessCaseOptions = ({
     });
   }
 
+  function handleNewExceptionChange(event) {
+    setNewException(event.target.value);
+  }
+
+  function addNewException() {
+    if (newException.trim()) {
+      dispatch({exception: newException, type: 'add-exception'});
+      setNewException('');
+    }
+  }
+
+  function handleNewExceptionKeyDown(event) {
+    // Don't submit the surrounding form and close the options.
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      addNewException();
+    }
+  }
+
   return (
     <div id="guesscase-options">
       <h1>{l('Guess case options')}</h1>
       <select onChange={handleModeChange} value={modeName}>
-        <option value="English">{l('English')}</option>
-        <option value="Sentence">{l('Sentence')}</option>
-        <option value="French">{l('French')}</option>
-        <option value="Turkish">{l('Turkish')}</option>
+        {modes.MODE_NAMES.map(name => (
+          <option key={name} value={name}>
+            {modes.getModeLabel(name)}
+          </option>
+        ))}
       </select>
       {' '}
       {bracketed(
@@ -141,6 +183,40 @@ const GuessCaseOptions = ({
         />
         {l('Uppercase Roman numerals')}
       </label>
+      <h2>{l('Always spell as')}</h2>
+      <p>
+        {l(`Words and phrases entered here are kept exactly as written,
+            wherever they appear.`)}
+      </p>
+      {exceptions.length ? (
+        <ul className="guesscase-exceptions">
+          {exceptions.map(exception => (
+            <li key={exception}>
+              {exception}
+              {' '}
+              <RemoveButton
+                onClick={() => dispatch({
+                  exception,
+                  type: 'remove-exception',
+                })}
+                title={l('Remove')}
+              />
+            </li>
+          ))}
+        </ul>
+      ) : null}
+      <input
+        onChange={handleNewExceptionChange}
+        onKeyDown={handleNewExceptionKeyDown}
+        placeholder={l('e.g. iPhone')}
+        size={20}
+        type="text"
+        value={newException}
+      />
+      {' '}
+      <button onClick={addNewException} type="button">
+        {l('Add')}
+      </button>
     </div>
   );
 };
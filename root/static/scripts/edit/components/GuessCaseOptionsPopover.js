@@ -28,6 +28,7 @@ const buttonProps = {
 
 const GuessCaseOptionsPopover = (React.memo(({
   dispatch,
+  exceptions,
   isOpen,
   keepUpperCase,
   mode,
@@ -47,6 +48,7 @@ const GuessCaseOptionsPopover = (React.memo(({
     >
       <GuessCaseOptions
         dispatch={dispatch}
+        exceptions={exceptions}
         keepUpperCase={keepUpperCase}
         mode={mode}
         upperCaseRoman={upperCaseRoman}
@@ -71,6 +73,7 @@ const GuessCaseOptionsPopover = (React.memo(({
     </form>
   ), [
     dispatch,
+    exceptions,
     keepUpperCase,
     mode,
     upperCaseRoman,
@@ -7,8 +7,6 @@
  * later version: http://www.gnu.org/licenses/gpl-2.0.txt
  */
 
-import punycode from 'punycode';
-
 import $ from 'jquery';
 import ko from 'knockout';
 import * as React from 'react';
@@ -27,7 +25,15 @@ import {groupBy, keyBy, uniqBy} from '../common/utility/arrays';
 import {hasSessionStorage} from '../common/utility/storage';
 import {uniqueId} from '../common/utility/strings';
 
+import groupExternalLinks from './utility/externalLinkGroups';
+import getExternalLinkWarnings from './utility/externalLinkWarnings';
 import isPositiveInteger from './utility/isPositiveInteger';
+import splitURLs from './utility/splitURLs';
+import {
+  getLinkTypeError,
+  getURLError,
+  getUnicodeUrl,
+} from './utility/urlValidation';
 import HelpIcon from './components/HelpIcon';
 import RemoveButton from './components/RemoveButton';
 import {linkTypeOptions} from './forms';
@@ -56,7 +62,10 @@ type LinksEditorProps = {
 };
 
 type LinksEditorState = {
+  collapsedGroups: {+[groupKey: string]: boolean},
   links: Array<LinkStateT>,
+  // The URL each link is sorted by, only updated when it's been entered.
+  sortURLs: {+[relationship: string]: string},
 };
 
 export class ExternalLinksEditor
@@ -65,7 +74,13 @@ export class ExternalLinksEditor
 
   constructor(props: LinksEditorProps) {
     super(props);
-    this.state = {links: withOneEmptyLink(props.initialLinks)};
+    this.state = {
+      collapsedGroups: {},
+      links: withOneEmptyLink(props.initialLinks),
+      sortURLs: Object.fromEntries(props.initialLinks.map(
+        link => [String(link.relationship), link.url],
+      )),
+    };
     this.tableRef = React.createRef();
   }
 
@@ -83,12 +98,15 @@ export class ExternalLinksEditor
     let url = event.currentTarget.value;
     const link = this.state.links[index];
 
+    const pastedURLs = splitURLs(url);
+    if (pastedURLs.length) {
+      this.addPastedLinks(index, pastedURLs);
+      return;
+    }
+
     // Allow adding spaces while typing, they'll be trimmed on blur
     if (url.trim() !== link.url.trim()) {
-      if (url.match(/^\w+\./)) {
-        url = 'http://' + url;
-      }
-      url = URLCleanup.cleanURL(url) || url;
+      url = cleanInputURL(url);
     }
 
     this.setLinkState(index, {url: url}, () => {
@@ -102,17 +120,70 @@ export class ExternalLinksEditor
     });
   }
 
+  /*
+   * Splits several URLs pasted at once into separate links. The first
+   * one replaces the URL being edited, and the rest are added after it.
+   */
+  addPastedLinks(index: number, urls: $ReadOnlyArray<string>) {
+    const link = this.state.links[index];
+
+    const pastedLinks = urls.map((dirtyURL, i): LinkStateT => {
+      const url = getUnicodeUrl(cleanInputURL(dirtyURL).trim());
+      const guessedType = URLCleanup.guessType(this.props.sourceType, url);
+      const type = guessedType
+        ? linkedEntities.link_type[guessedType].id
+        : null;
+
+      if (i === 0) {
+        return {...link, type: link.type || type, url};
+      }
+      return newLinkState({relationship: uniqueId('new-'), type, url});
+    });
+
+    const newLinks = this.state.links.concat();
+    newLinks.splice(index, 1, ...pastedLinks);
+    this.setState(prevState => ({
+      links: withOneEmptyLink(newLinks),
+      sortURLs: {
+        ...prevState.sortURLs,
+        ...Object.fromEntries(pastedLinks.map(
+          link => [String(link.relationship), link.url],
+        )),
+      },
+    }));
+  }
+
+  setSortURL(relationship: number | string | null, url: string) {
+    this.setState(prevState => ({
+      sortURLs: {...prevState.sortURLs, [String(relationship)]: url},
+    }));
+  }
+
+  toggleGroup(groupKey: string) {
+    this.setState(prevState => ({
+      collapsedGroups: {
+        ...prevState.collapsedGroups,
+        [groupKey]: !prevState.collapsedGroups[groupKey],
+      },
+    }));
+  }
+
   handleUrlBlur(index: number, event: SyntheticEvent<HTMLInputElement>) {
     const url = event.currentTarget.value;
     const trimmed = url.trim();
     const unicodeUrl = getUnicodeUrl(trimmed);
 
+    // Links are only sorted again once their URL has been entered.
+    this.setSortURL(this.state.links[index].relationship, unicodeUrl);
+
     if (url !== unicodeUrl) {
       this.setLinkState(index, {url: unicodeUrl});
     }
   }
 
   handleTypeChange(index: number, event: SyntheticEvent<HTMLSelectElement>) {
+    const link = this.state.links[index];
+    this.setSortURL(link.relationship, link.url);
     this.setLinkState(index, {type: +event.currentTarget.value || null});
   }
 
@@ -121,16 +192,37 @@ export class ExternalLinksEditor
   }
 
   removeLink(index: number) {
+    /*
+     * Links are displayed grouped and sorted, so the rows next to the
+     * removed one aren't necessarily its neighbours in state.links.
+     */
+    const $table = $(this.tableRef.current);
+    const displayedLinks = $table.find('tr[data-relationship]')
+      .map((i, row) => row.getAttribute('data-relationship'))
+      .get();
+    const position = displayedLinks.indexOf(
+      String(this.state.links[index].relationship),
+    );
+    const focusCandidates = [
+      displayedLinks[position + 1],
+      displayedLinks[position - 1],
+    ].filter(Boolean);
+
     this.setState(prevState => {
       const newLinks = prevState.links.concat();
       newLinks.splice(index, 1);
       return {links: newLinks};
     }, () => {
-      $(this.tableRef.current)
-        .find('tr:gt(' + (index - 1) + ') button.remove:first, ' +
-              'tr:lt(' + (index + 1) + ') button.remove:last')
-        .eq(0)
-        .focus();
+      for (const relationship of focusCandidates) {
+        const $button = $table.find(
+          'tr[data-relationship="' + relationship + '"] ' +
+          'button.remove',
+        );
+        if ($button.length) {
+          $button.focus();
+          break;
+        }
+      }
     });
   }
 
@@ -216,6 +308,117 @@ export class ExternalLinksEditor
       ),
       linkTypeAndUrlString,
     );
+    const warnings = getExternalLinkWarnings(
+      linksArray,
+      this.props.sourceType,
+    );
+
+    const errors = [];
+    const rows = linksArray.map((link, index) => {
+      let error;
+      const linkType = link.type
+        ? linkedEntities.link_type[link.type] : {};
+      const oldLink = oldLinks[link.relationship];
+      const isNewLink = !isPositiveInteger(link.relationship);
+      const linkChanged = oldLink && link.url !== oldLink.url;
+      const linkTypeChanged = oldLink && +link.type !== +oldLink.type;
+      link.url = getUnicodeUrl(link.url);
+
+      const urlError = isEmpty(link) ? '' : getURLError(link.url);
+
+      if (isEmpty(link)) {
+        error = '';
+      } else if (urlError) {
+        error = urlError;
+      } else if (!link.type) {
+        error = l(`Please select a link type for the URL
+                   you’ve entered.`);
+      } else if (
+        linkType.deprecated && (isNewLink || linkTypeChanged)
+      ) {
+        error = l(`This relationship type is deprecated 
+                   and should not be used.`);
+      } else if (
+        (linksByTypeAndUrl[linkTypeAndUrlString(link)] || []).length > 1
+      ) {
+        error = l('This relationship already exists.');
+      } else if (isNewLink || linkChanged) {
+        error = getLinkTypeError(link.url, linkType.gid);
+      }
+
+      if (error) {
+        this.props.errorObservable(true);
+      }
+      errors[index] = error;
+
+      return (
+        <ExternalLink
+          errorMessage={error || ''}
+          handleUrlBlur={
+            this.handleUrlBlur.bind(this, index)
+          }
+          handleUrlChange={
+            this.handleUrlChange.bind(this, index)
+          }
+          handleVideoChange={
+            this.handleVideoChange.bind(this, index)
+          }
+          isOnlyLink={this.state.links.length === 1}
+          key={link.relationship}
+          onRemove={this.removeLink.bind(this, index)}
+          relationship={link.relationship}
+          type={link.type}
+          typeChangeCallback={
+            this.handleTypeChange.bind(this, index)
+          }
+          typeNotGuessed={!isEmpty(link) && !link.type}
+          typeOptions={this.props.typeOptions}
+          url={link.url}
+          urlMatchesType={
+            linkType.gid === URLCleanup.guessType(
+              this.props.sourceType, link.url,
+            )
+          }
+          video={link.video}
+          warningMessage={error ? '' : warnings[index]}
+        />
+      );
+    });
+
+    const {groups, ungrouped} = groupExternalLinks(
+      linksArray,
+      linksArray.map(link => this.state.sortURLs[String(link.relationship)]),
+    );
+    const collapsedGroups = this.state.collapsedGroups;
+    const groupedRows = [];
+
+    for (const group of groups) {
+      // Groups with errors are always expanded, so the errors are seen.
+      const collapsed = !!collapsedGroups[group.key] &&
+        !group.indexes.some(index => errors[index]);
+
+      groupedRows.push(
+        <tr className="link-group" key={'group-' + group.key}>
+          <th colSpan="3">
+            <button
+              aria-expanded={!collapsed}
+              className="nobutton"
+              onClick={() => this.toggleGroup(group.key)}
+              type="button"
+            >
+              {(collapsed ? '\u25B6 ' : '\u25BC ') +
+                texp.l('{group} ({count})', {
+                  count: group.indexes.length,
+                  group: group.name(),
+                })}
+            </button>
+          </th>
+        </tr>,
+      );
+      if (!collapsed) {
+        groupedRows.push(...group.indexes.map(index => rows[index]));
+      }
+    }
 
     return (
       <table
@@ -224,89 +427,9 @@ export class ExternalLinksEditor
         ref={this.tableRef}
       >
         <tbody>
-          {linksArray.map((link, index) => {
-            let error;
-            const linkType = link.type
-              ? linkedEntities.link_type[link.type] : {};
-            const checker = URLCleanup.validationRules[linkType.gid];
-            const oldLink = oldLinks[link.relationship];
-            const isNewLink = !isPositiveInteger(link.relationship);
-            const linkChanged = oldLink && link.url !== oldLink.url;
-            const linkTypeChanged = oldLink && +link.type !== +oldLink.type;
-            link.url = getUnicodeUrl(link.url);
-
-            if (isEmpty(link)) {
-              error = '';
-            } else if (!link.url) {
-              error = l('Required field.');
-            } else if (!isValidURL(link.url)) {
-              error = l('Enter a valid url e.g. "http://google.com/"');
-            } else if (isMusicBrainz(link.url)) {
-              error = l(`Links to MusicBrainz URLs are not allowed.
-                         Did you mean to paste something else?`);
-            } else if (isMalware(link.url)) {
-              error = l(`Links to this website are not allowed
-                         because it is known to host malware.`);
-            } else if (isShortened(link.url)) {
-              error = l(`Please don’t enter bundled/shortened URLs,
-                         enter the destination URL(s) instead.`);
-            } else if (!link.type) {
-              error = l(`Please select a link type for the URL
-                         you’ve entered.`);
-            } else if (
-              linkType.deprecated && (isNewLink || linkTypeChanged)
-            ) {
-              error = l(`This relationship type is deprecated 
-                         and should not be used.`);
-            } else if (
-              (linksByTypeAndUrl[linkTypeAndUrlString(link)] || []).length > 1
-            ) {
-              error = l('This relationship already exists.');
-            } else if (
-              (isNewLink || linkChanged) && checker
-            ) {
-              const check = checker(link.url);
-              if (!check.result) {
-                error = check.error ||
-                  l(`This URL is not allowed for the selected link type, 
-                     or is incorrectly formatted.`);
-              }
-            }
-
-            if (error) {
-              this.props.errorObservable(true);
-            }
-
-            return (
-              <ExternalLink
-                errorMessage={error || ''}
-                handleUrlBlur={
-                  this.handleUrlBlur.bind(this, index)
-                }
-                handleUrlChange={
-                  this.handleUrlChange.bind(this, index)
-                }
-                handleVideoChange={
-                  this.handleVideoChange.bind(this, index)
-                }
-                isOnlyLink={this.state.links.length === 1}
-                key={link.relationship}
-                onRemove={this.removeLink.bind(this, index)}
-                type={link.type}
-                typeChangeCallback={
-                  this.handleTypeChange.bind(this, index)
-                }
-                typeOptions={this.props.typeOptions}
-                url={link.url}
-                urlMatchesType={
-                  linkType.gid === URLCleanup.guessType(
-                    this.props.sourceType, link.url,
-                  )
-                }
-                video={link.video}
-              />
-            );
-          })}
+          {/* Kept in one array, so that links aren't recreated (losing
+              focus) when their type is guessed and they move to a group. */}
+          {groupedRows.concat(ungrouped.map(index => rows[index]))}
         </tbody>
       </table>
     );
@@ -343,12 +466,15 @@ type LinkProps = {
     (number, SyntheticEvent<HTMLInputElement>) => void,
   isOnlyLink: boolean,
   onRemove: (number) => void,
+  relationship: number | string | null,
   type: number | null,
   typeChangeCallback: (number, SyntheticEvent<HTMLSelectElement>) => void,
+  typeNotGuessed: boolean,
   typeOptions: Array<React.Element<'option'>>,
   url: string,
   urlMatchesType: boolean,
   video: boolean,
+  warningMessage: string,
 };
 
 export class ExternalLink extends React.Component<LinkProps> {
@@ -397,7 +523,10 @@ export class ExternalLink extends React.Component<LinkProps> {
     }
 
     return (
-      <tr>
+      <tr
+        className={props.typeNotGuessed ? 'type-not-guessed' : null}
+        data-relationship={props.relationship}
+      >
         <td>
           {/* If the URL matches its type or is just empty, display either a
               favicon or a prompt for a new link as appropriate. */
@@ -436,6 +565,10 @@ export class ExternalLink extends React.Component<LinkProps> {
             <div className="error field-error" data-visible="1">
               {props.errorMessage}
             </div>}
+          {props.warningMessage &&
+            <div className="field-warning">
+              {props.warningMessage}
+            </div>}
           {linkType &&
             hasOwnProp(linkType.attributes, String(VIDEO_ATTRIBUTE_ID)) &&
             <div className="attribute-container">
@@ -474,6 +607,13 @@ function newLinkState(state: $Shape<LinkStateT>) {
   return {...defaultLinkState, ...state};
 }
 
+function cleanInputURL(url) {
+  if (url.match(/^\w+\./)) {
+    url = 'http://' + url;
+  }
+  return URLCleanup.cleanURL(url) || url;
+}
+
 function linkTypeAndUrlString(link) {
   return (link.type || '') + '\0' + link.url;
 }
@@ -531,140 +671,6 @@ export function parseRelationships(
   }, []);
 }
 
-const protocolRegex = /^(https?|ftp):$/;
-const hostnameRegex = /^(([A-z\d]|[A-z\d][A-z\d\-]*[A-z\d])\.)*([A-z\d]|[A-z\d][A-z\d\-]*[A-z\d])$/;
-
-export function getUnicodeUrl(url: string): string {
-  if (!isValidURL(url)) {
-    return url;
-  }
-
-  const urlObject = new URL(url);
-  const unicodeHostname = punycode.toUnicode(urlObject.hostname);
-  const unicodeUrl = url.replace(urlObject.hostname, unicodeHostname);
-
-  return unicodeUrl;
-}
-
-function isValidURL(url) {
-  const a = document.createElement('a');
-  a.href = url;
-
-  const hostname = a.hostname;
-
-  // To compare with the url we need to decode the Punycode if present
-  const unicodeHostname = punycode.toUnicode(hostname);
-  if (url.indexOf(hostname) < 0 && url.indexOf(unicodeHostname) < 0) {
-    return false;
-  }
-
-  if (!hostnameRegex.test(hostname)) {
-    return false;
-  }
-
-  if (hostname.indexOf('.') < 0) {
-    return false;
-  }
-
-  if (!protocolRegex.test(a.protocol)) {
-    return false;
-  }
-
-  return true;
-}
-
-const MALWARE_URLS = [
-  'decoda.com',
-].map(host => new RegExp('^https?://([^/]+\\.)?' + host + '/.+', 'i'));
-
-const URL_SHORTENERS = [
-  'adf.ly',
-  'album.link',
-  'ampl.ink',
-  'amu.se',
-  'artist.link',
-  'band.link',
-  'biglink.to',
-  'bit.ly',
-  'bitly.com',
-  'backl.ink',
-  'bruit.app',
-  'bstlnk.to',
-  'cli.gs',
-  'deck.ly',
-  'distrokid.com',
-  'ditto.fm',
-  'eventlink.to',
-  'fanlink.to',
-  'ffm.to',
-  'fty.li',
-  'fur.ly',
-  'g.co',
-  'geni.us',
-  'goo.gl',
-  'hyperurl.co',
-  'is.gd',
-  'kl.am',
-  'laburbain.com',
-  'li.sten.to',
-  'linkco.re',
-  'lnkfi.re',
-  'linktr.ee',
-  'listen.lt',
-  'lnk.bio',
-  'lnk.co',
-  'lnk.site',
-  'lnk.to',
-  'lsnto.me',
-  'mcaf.ee',
-  'moourl.com',
-  'musics.link',
-  'mylink.page',
-  'odesli.co',
-  'orcd.co',
-  'owl.ly',
-  'page.link',
-  'pandora.app.link',
-  'podlink.to',
-  'pods.link',
-  'push.fm',
-  'rb.gy',
-  'rubyurl.com',
-  'smarturl.it',
-  'song.link',
-  'songwhip.com',
-  'spinnup.link',
-  'spoti.fi',
-  'sptfy.com',
-  'spread.link',
-  'streamlink.to',
-  'su.pr',
-  't.co',
-  'tiny.cc',
-  'tinyurl.com',
-  'tourlink.to',
-  'u.nu',
-  'unitedmasters.com',
-  'untd.io',
-  'yep.it',
-].map(host => new RegExp('^https?://([^/]+\\.)?' + host + '/.+', 'i'));
-
-function isMalware(url) {
-  return MALWARE_URLS.some(function (malwareRegex) {
-    return url.match(malwareRegex) !== null;
-  });
-}
-
-function isShortened(url) {
-  return URL_SHORTENERS.some(function (shortenerRegex) {
-    return url.match(shortenerRegex) !== null;
-  });
-}
-
-function isMusicBrainz(url) {
-  return /^https?:\/\/([^/]+\.)?musicbrainz\.org/.test(url);
-}
-
 type InitialOptionsT = {
   errorObservable?: (boolean) => void,
   mountPoint: Element,
@@ -0,0 +1,98 @@
+/*
+ * @flow
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import he from 'he';
+import * as ReactDOMServer from 'react-dom/server';
+
+import {
+  LINK_TYPES,
+  cleanURL,
+  guessType,
+  preCleanURL,
+} from '../URLCleanup';
+
+import {
+  getLinkTypeError,
+  getURLError,
+  getUnicodeUrl,
+} from './urlValidation';
+
+export type CheckedURLT = {
+  +cleanURL: string,
+  +error: string,
+  +linkType: string | null,
+  +linkTypeName: string | null,
+  +result: boolean,
+  +stripped: $ReadOnlyArray<{+kind: string, +value: string}>,
+  +url: string,
+};
+
+function linkTypeName(entityType: string, gid: string): string | null {
+  for (const name of Object.keys(LINK_TYPES)) {
+    if (LINK_TYPES[name][entityType] === gid) {
+      return name;
+    }
+  }
+  return null;
+}
+
+// Some validation errors contain links, which aren't wanted here.
+function errorText(error: Expand2ReactOutput): string {
+  if (typeof error === 'string') {
+    return error;
+  }
+  return he.decode(
+    ReactDOMServer.renderToStaticMarkup(<>{error}</>).replace(/<[^>]*>/g, ''),
+  );
+}
+
+/*
+ * Cleans a URL and guesses its link type for the given source entity
+ * type, the same way the external links editor does when a URL is
+ * pasted, then returns any error the editor would show for it, along
+ * with the redirects and tracking parameters stripped from it.
+ */
+export default function checkURL(
+  dirtyURL: string,
+  entityType: string,
+): CheckedURLT {
+  let url = dirtyURL.trim();
+  if (url.match(/^\w+\./)) {
+    url = 'http://' + url;
+  }
+  const {stripped} = preCleanURL(url);
+  url = getUnicodeUrl((cleanURL(url) || url).trim());
+
+  const linkType = guessType(entityType, url) || null;
+
+  let error = getURLError(url);
+  if (!error) {
+    error = linkType
+      ? errorText(getLinkTypeError(url, linkType))
+      : l(`Please select a link type for the URL
+           you’ve entered.`);
+  }
+
+  return {
+    cleanURL: url,
+    error,
+    linkType,
+    linkTypeName: linkType ? linkTypeName(entityType, linkType) : null,
+    result: !error,
+    stripped,
+    url: dirtyURL,
+  };
+}
+
+export function checkURLs(
+  urls: $ReadOnlyArray<string>,
+  entityType: string,
+): Array<CheckedURLT> {
+  return urls.map(url => checkURL(url, entityType));
+}
@@ -0,0 +1,183 @@
+/*
+ * @flow
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import {compare} from '../../common/i18n';
+import linkedEntities from '../../common/linkedEntities';
+import {LINK_TYPES, getSiteName} from '../URLCleanup';
+
+type LinkT = {
+  +type: number | null,
+  +url: string,
+  ...
+};
+
+export type ExternalLinkGroupT = {
+  +indexes: Array<number>,
+  +key: string,
+  +name: () => string,
+};
+
+/*
+ * Groups shown in the external links editor, in order. Official sites
+ * come first, as on entity sidebars; links of other types go in the
+ * last group.
+ */
+const GROUPS = [
+  {
+    key: 'official',
+    linkTypes: ['blog'],
+    name: N_l('Official sites'),
+  },
+  {
+    key: 'social',
+    linkTypes: [
+      'myspace',
+      'onlinecommunity',
+      'purevolume',
+      'socialnetwork',
+      'soundcloud',
+      'videochannel',
+      'youtube',
+    ],
+    name: N_l('Social networks and videos'),
+  },
+  {
+    key: 'streaming',
+    linkTypes: ['downloadfree', 'streamingfree', 'streamingpaid'],
+    name: N_l('Streaming and free downloads'),
+  },
+  {
+    key: 'purchase',
+    linkTypes: [
+      'amazon',
+      'bandcamp',
+      'cdbaby',
+      'crowdfunding',
+      'downloadpurchase',
+      'mailorder',
+      'patronage',
+    ],
+    name: N_l('Purchase and support'),
+  },
+  {
+    key: 'databases',
+    linkTypes: [
+      'allmusic',
+      'bandsintown',
+      'bbcmusic',
+      'bookbrainz',
+      'cpdl',
+      'discogs',
+      'geonames',
+      'imdb',
+      'imslp',
+      'lastfm',
+      'otherdatabases',
+      'secondhandsongs',
+      'setlistfm',
+      'songfacts',
+      'songkick',
+      'vgmdb',
+      'viaf',
+      'wikidata',
+      'wikipedia',
+    ],
+    name: N_l('Databases and encyclopedias'),
+  },
+  {
+    key: 'lyrics',
+    linkTypes: ['lyrics'],
+    name: N_l('Lyrics'),
+  },
+  {
+    key: 'other',
+    linkTypes: [],
+    name: N_l('Other links'),
+  },
+];
+
+const GROUP_BY_LINK_TYPE: Map<string, string> = new Map(
+  GROUPS.flatMap(group => group.linkTypes.flatMap(
+    name => Object.values(LINK_TYPES[name]).map(
+      gid => [String(gid), group.key],
+    ),
+  )),
+);
+
+export function getExternalLinkGroup(linkType: LinkTypeT): string {
+  if (/^official (?:homepage|site)$/.test(linkType.name)) {
+    return 'official';
+  }
+  return GROUP_BY_LINK_TYPE.get(linkType.gid) || 'other';
+}
+
+function siteSortKey(url: string): string {
+  return getSiteName(url) ||
+    url.replace(/^(?:https?:\/\/)?(?:www\.)?([^\/?#]*).*$/i, '$1');
+}
+
+/*
+ * Groups the indexes of links with a type by their site category, sorted
+ * by site and URL within each group. The indexes of links without a type
+ * (including the empty one used to add new links) are returned apart, in
+ * their original order.
+ *
+ * Links are sorted by their `sortURLs` if given, so that a row doesn't
+ * move while its URL is being edited; links without one (being entered
+ * for the first time) come last in their group, in their original order.
+ */
+export default function groupExternalLinks(
+  links: $ReadOnlyArray<LinkT>,
+  sortURLs?: $ReadOnlyArray<string | void>,
+): {
+  +groups: $ReadOnlyArray<ExternalLinkGroupT>,
+  +ungrouped: $ReadOnlyArray<number>,
+} {
+  const indexesByGroup = new Map<string, Array<number>>();
+  const ungrouped = [];
+
+  links.forEach(function (link, index) {
+    const linkType = link.type ? linkedEntities.link_type[link.type] : null;
+    if (!linkType || !link.url) {
+      ungrouped.push(index);
+      return;
+    }
+    const key = getExternalLinkGroup(linkType);
+    const indexes = indexesByGroup.get(key);
+    if (indexes) {
+      indexes.push(index);
+    } else {
+      indexesByGroup.set(key, [index]);
+    }
+  });
+
+  const groups = [];
+  for (const {key, name} of GROUPS) {
+    const indexes = indexesByGroup.get(key);
+    if (indexes) {
+      const getSortURL = index => (
+        sortURLs ? sortURLs[index] : links[index].url
+      );
+      indexes.sort(function (a, b) {
+        const urlA = getSortURL(a);
+        const urlB = getSortURL(b);
+        if (urlA === undefined || urlB === undefined) {
+          return (urlA === undefined ? 1 : 0) - (urlB === undefined ? 1 : 0);
+        }
+        return (
+          compare(siteSortKey(urlA), siteSortKey(urlB)) ||
+          compare(urlA, urlB)
+        );
+      });
+      groups.push({indexes, key, name});
+    }
+  }
+
+  return {groups, ungrouped};
+}
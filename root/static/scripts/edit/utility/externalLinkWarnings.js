@@ -0,0 +1,86 @@
+/*
+ * @flow
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import {LINK_TYPES, cleanURL, guessType} from '../URLCleanup';
+
+type LinkT = {
+  +type: number | null,
+  +url: string,
+  ...
+};
+
+// Sites which normally have a single page for each entity.
+const SINGLE_LINK_TYPES = new Set(
+  [LINK_TYPES.discogs, LINK_TYPES.viaf, LINK_TYPES.wikidata]
+    .flatMap(linkType => Object.values(linkType)),
+);
+
+function variantKey(url: string): string {
+  return url
+    .replace(/^https?:\/\//i, '')
+    .replace(/\/+$/, '')
+    .replace(/^[^\/?#]+/, host => host.toLowerCase());
+}
+
+/*
+ * Finds links that are probably mistaken, but not certainly enough to
+ * block the edit: the same URL added with different types, variants of
+ * the same URL, and second links to sites that only have one page per
+ * entity. Returns a warning (or an empty string) for each link, given
+ * on the later of any two conflicting links.
+ */
+export default function getExternalLinkWarnings(
+  links: $ReadOnlyArray<LinkT>,
+  sourceType: string,
+): Array<string> {
+  const seenURLs = new Map<string, LinkT>();
+  const seenVariants = new Map<string, string>();
+  const seenSingleTypes = new Set<string>();
+
+  return links.map(function (link) {
+    if (!link.url) {
+      return '';
+    }
+
+    const url = cleanURL(link.url) || link.url;
+    const variant = variantKey(url);
+    const guessedType = guessType(sourceType, url);
+    let warning = '';
+
+    const sameURL = seenURLs.get(url);
+    const sameVariant = seenVariants.get(variant);
+
+    if (sameURL) {
+      if (sameURL.type !== link.type) {
+        warning = l('This URL has already been added with another type.');
+      }
+    } else if (sameVariant != null) {
+      warning = texp.l(
+        `This URL only differs from {url} by http/https or
+         a trailing slash.`,
+        {url: sameVariant},
+      );
+    } else if (guessedType && seenSingleTypes.has(guessedType)) {
+      warning = l(`There is already a link to this site. Entities normally
+                   only have one link to it.`);
+    }
+
+    if (!sameURL) {
+      seenURLs.set(url, link);
+    }
+    if (sameVariant == null) {
+      seenVariants.set(variant, url);
+    }
+    if (guessedType && SINGLE_LINK_TYPES.has(guessedType)) {
+      seenSingleTypes.add(guessedType);
+    }
+
+    return warning;
+  });
+}
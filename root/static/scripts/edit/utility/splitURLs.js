@@ -0,0 +1,26 @@
+/*
+ * @flow strict
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import {uniqBy} from '../../common/utility/arrays';
+
+const urlLike = /^(?:https?:\/\/|www\.|[\w-]+(?:\.[\w-]+)+\/)\S+$/i;
+
+/*
+ * Finds the URLs in text pasted into a URL field, such as a list of
+ * links copied from an artist's official site. Anything that doesn't
+ * look like a URL (e.g. "Facebook:" labels) is ignored. Returns an empty
+ * array unless more than one URL was found.
+ */
+export default function splitURLs(text: string): Array<string> {
+  const urls = uniqBy(
+    text.split(/\s+/).filter(x => urlLike.test(x)),
+    x => x,
+  );
+  return urls.length > 1 ? urls : [];
+}
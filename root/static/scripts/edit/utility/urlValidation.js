@@ -0,0 +1,200 @@
+/*
+ * @flow
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import punycode from 'punycode';
+
+import {validationRules} from '../URLCleanup';
+
+/*
+ * Checks for URLs entered in the external links editor. These don't
+ * depend on the DOM, so they can also be used to check URLs from Node.
+ */
+
+const protocolRegex = /^(https?|ftp):$/;
+const hostnameRegex = /^(([A-z\d]|[A-z\d][A-z\d\-]*[A-z\d])\.)*([A-z\d]|[A-z\d][A-z\d\-]*[A-z\d])$/;
+
+export function getUnicodeUrl(url: string): string {
+  if (!isValidURL(url)) {
+    return url;
+  }
+
+  const urlObject = new URL(url);
+  const unicodeHostname = punycode.toUnicode(urlObject.hostname);
+  const unicodeUrl = url.replace(urlObject.hostname, unicodeHostname);
+
+  return unicodeUrl;
+}
+
+export function isValidURL(url: string): boolean {
+  let urlObject;
+  try {
+    urlObject = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  const hostname = urlObject.hostname;
+
+  // To compare with the url we need to decode the Punycode if present
+  const unicodeHostname = punycode.toUnicode(hostname);
+  if (url.indexOf(hostname) < 0 && url.indexOf(unicodeHostname) < 0) {
+    return false;
+  }
+
+  if (!hostnameRegex.test(hostname)) {
+    return false;
+  }
+
+  if (hostname.indexOf('.') < 0) {
+    return false;
+  }
+
+  if (!protocolRegex.test(urlObject.protocol)) {
+    return false;
+  }
+
+  return true;
+}
+
+const MALWARE_URLS = [
+  'decoda.com',
+].map(host => new RegExp('^https?://([^/]+\\.)?' + host + '/.+', 'i'));
+
+const URL_SHORTENERS = [
+  'adf.ly',
+  'album.link',
+  'ampl.ink',
+  'amu.se',
+  'artist.link',
+  'band.link',
+  'biglink.to',
+  'bit.ly',
+  'bitly.com',
+  'backl.ink',
+  'bruit.app',
+  'bstlnk.to',
+  'cli.gs',
+  'deck.ly',
+  'distrokid.com',
+  'ditto.fm',
+  'eventlink.to',
+  'fanlink.to',
+  'ffm.to',
+  'fty.li',
+  'fur.ly',
+  'g.co',
+  'geni.us',
+  'goo.gl',
+  'hyperurl.co',
+  'is.gd',
+  'kl.am',
+  'laburbain.com',
+  'li.sten.to',
+  'linkco.re',
+  'lnkfi.re',
+  'linktr.ee',
+  'listen.lt',
+  'lnk.bio',
+  'lnk.co',
+  'lnk.site',
+  'lnk.to',
+  'lsnto.me',
+  'mcaf.ee',
+  'moourl.com',
+  'musics.link',
+  'mylink.page',
+  'odesli.co',
+  'orcd.co',
+  'owl.ly',
+  'page.link',
+  'pandora.app.link',
+  'podlink.to',
+  'pods.link',
+  'push.fm',
+  'rb.gy',
+  'rubyurl.com',
+  'smarturl.it',
+  'song.link',
+  'songwhip.com',
+  'spinnup.link',
+  'spoti.fi',
+  'sptfy.com',
+  'spread.link',
+  'streamlink.to',
+  'su.pr',
+  't.co',
+  'tiny.cc',
+  'tinyurl.com',
+  'tourlink.to',
+  'u.nu',
+  'unitedmasters.com',
+  'untd.io',
+  'yep.it',
+].map(host => new RegExp('^https?://([^/]+\\.)?' + host + '/.+', 'i'));
+
+function isMalware(url: string): boolean {
+  return MALWARE_URLS.some(function (malwareRegex) {
+    return url.match(malwareRegex) !== null;
+  });
+}
+
+function isShortened(url: string): boolean {
+  return URL_SHORTENERS.some(function (shortenerRegex) {
+    return url.match(shortenerRegex) !== null;
+  });
+}
+
+function isMusicBrainz(url: string): boolean {
+  return /^https?:\/\/([^/]+\.)?musicbrainz\.org/.test(url);
+}
+
+/*
+ * Returns the error shown for a URL regardless of its link type, or an
+ * empty string if there is none.
+ */
+export function getURLError(url: string): string {
+  if (!url) {
+    return l('Required field.');
+  } else if (!isValidURL(url)) {
+    return l('Enter a valid url e.g. "http://google.com/"');
+  } else if (isMusicBrainz(url)) {
+    return l(`Links to MusicBrainz URLs are not allowed.
+              Did you mean to paste something else?`);
+  } else if (isMalware(url)) {
+    return l(`Links to this website are not allowed
+              because it is known to host malware.`);
+  } else if (isShortened(url)) {
+    return l(`Please don’t enter bundled/shortened URLs,
+              enter the destination URL(s) instead.`);
+  }
+  return '';
+}
+
+/*
+ * Returns the error from the URLCleanup validation rule of the given
+ * link type, or an empty string if the URL is allowed.
+ */
+export function getLinkTypeError(
+  url: string,
+  linkTypeGid: string,
+): Expand2ReactOutput {
+  const checker = validationRules[linkTypeGid];
+  if (!checker) {
+    return '';
+  }
+
+  const check = checker(url);
+  if (check.result) {
+    return '';
+  }
+
+  return check.error ||
+    l(`This URL is not allowed for the selected link type,
+       or is incorrectly formatted.`);
+}
@@ -46,6 +46,36 @@ MB.Control.initializeGuessCase = function (type, formPrefix) {
   var $sortname = $('#' + formPrefix + 'sort_name');
   var $artistType = $('#id-edit-artist\\.type_id');
 
+  // Offers the other sort names guessed for an ambiguous name.
+  function showSortNameAlternatives(sortNames) {
+    $sortname.parent().find('p.sortname-alternatives').remove();
+
+    if (!sortNames.length) {
+      return;
+    }
+
+    var $alternatives = $('<p>')
+      .addClass('no-label sortname-alternatives')
+      .text(addColonText(l('Other possible sort names')) + ' ');
+
+    sortNames.forEach(function (sortName, index) {
+      if (index > 0) {
+        $alternatives.append(document.createTextNode(', '));
+      }
+      $('<a>')
+        .attr('href', '#')
+        .text(sortName)
+        .on('click', function (event) {
+          event.preventDefault();
+          setVal($sortname, sortName);
+          $alternatives.remove();
+        })
+        .appendTo($alternatives);
+    });
+
+    $sortname.parent().append($alternatives);
+  }
+
   $sortname.parent()
     .find('button.guesscase-sortname').on('click', function () {
       var args = [$name.val()];
@@ -54,7 +84,12 @@ MB.Control.initializeGuessCase = function (type, formPrefix) {
         args.push($artistType.val() != 2 /* person */);
       }
 
-      setVal($sortname, guess.sortname.apply(guess, args));
+      var sortNames = guess.sortnames
+        ? guess.sortnames.apply(guess, args)
+        : [guess.sortname.apply(guess, args)];
+
+      setVal($sortname, sortNames[0]);
+      showSortNameAlternatives(sortNames.slice(1));
     })
     .end()
     .find('button.sortname-copy')
@@ -65,6 +100,10 @@ MB.Control.initializeGuessCase = function (type, formPrefix) {
 
 var guessCaseOptions = {
   modeName: ko.observable(),
+  modeOptions: modes.MODE_NAMES.map(name => ({
+    label: modes.getModeLabel(name),
+    name,
+  })),
   keepUpperCase: ko.observable(),
   upperCaseRoman: ko.observable(),
 };
@@ -75,7 +114,7 @@ var mode = ko.computed({
 
     if (modeName !== gc.modeName) {
       gc.modeName = modeName;
-      gc.mode = modes[modeName];
+      gc.mode = modes.getMode(modeName);
       setCookie('guesscase_mode', modeName);
     }
     return gc.mode;
@@ -9,6 +9,7 @@
 
 import MB from '../../../../common/MB';
 import * as flags from '../../../flags';
+import {guessPersonSortNames} from '../../../sortNames';
 import * as utils from '../../../utils';
 
 MB.GuessCase = (MB.GuessCase) ? MB.GuessCase : {};
@@ -77,95 +78,100 @@ MB.GuessCase.Handler.Artist = function (gc) {
     return null;
   };
 
-  // Guesses the sortname for artists
-  self.guessSortName = function (is, person) {
-    return self.sortCompoundName(is, function (artist) {
-      if (artist) {
-        artist = utils.trim(artist);
-        var append = '';
-
-        // Strip Jr./Sr. from the string, and append at the end.
-        if (!gc.re.SORTNAME_SR) {
-          gc.re.SORTNAME_SR = /,\s*Sr[\.]?$/i;
-          gc.re.SORTNAME_JR = /,\s*Jr[\.]?$/i;
-        }
-
-        if (artist.match(gc.re.SORTNAME_SR)) {
-          artist = artist.replace(gc.re.SORTNAME_SR, '');
-          append = ', Sr.';
-        } else if (artist.match(gc.re.SORTNAME_JR)) {
-          artist = artist.replace(gc.re.SORTNAME_JR, '');
-          append = ', Jr.';
-        }
-        var names = artist.split(' ');
-
-        /*
-         * Handle some special cases, like DJ, The, Los which
-         * are sorted at the end.
-         */
-        var reorder = false;
-        if (!gc.re.SORTNAME_DJ) {
-          gc.re.SORTNAME_DJ = /^DJ$/i; // match DJ
-          gc.re.SORTNAME_THE = /^The$/i; // match The
-          gc.re.SORTNAME_LOS = /^Los$/i; // match Los
-          gc.re.SORTNAME_DR = /^Dr\.$/i; // match Dr.
-        }
-        var firstName = names[0];
-        if (firstName.match(gc.re.SORTNAME_DJ)) {
-          append = (', DJ' + append); // handle DJ xyz -> xyz, DJ
-          names[0] = null;
-        } else if (firstName.match(gc.re.SORTNAME_THE)) {
-          append = (', The' + append); // handle The xyz -> xyz, The
-          names[0] = null;
-        } else if (firstName.match(gc.re.SORTNAME_LOS)) {
-          append = (', Los' + append); // handle Los xyz -> xyz, Los
-          names[0] = null;
-        } else if (firstName.match(gc.re.SORTNAME_DR)) {
-          append = (', Dr.' + append); // handle Dr. xyz -> xyz, Dr.
-          names[0] = null;
-          reorder = true; // reorder doctors.
-        } else {
-          reorder = true; // reorder by default
-        }
-
-        if (!person) {
-          reorder = false; // only reorder persons, not groups.
-        }
-
-        // we have to reorder the names
-        var i = 0;
-        if (reorder) {
-          var reOrderedNames = [];
-          if (names.length > 1) {
-            for (i = 0; i < names.length-1; i++) {
-              // >> firstnames,middlenames one pos right
-              if (i == names.length-2 && names[i] == 'St.') {
-                names[i+1] = names[i] + ' ' + names[i+1];
-                /*
-                 * Handle St. because it belongs
-                 * to the lastname
-                 */
-              } else if (names[i]) {
-                reOrderedNames[i+1] = names[i];
-              }
-            }
-            reOrderedNames[0] = names[names.length-1]; // lastname,firstname
-            if (reOrderedNames.length > 1) {
-              /*
-               * Only append comma if there was more than 1
-               * non-empty word (and therefore switched)
-               */
-              reOrderedNames[0] += ',';
-            }
-            names = reOrderedNames;
-          }
-        }
-
-        return utils.trim(names.filter(Boolean).join(' ') + (append || ''));
-      }
+  // Returns the possible sort names of a single artist.
+  function guessArtistSortNames(artist, person) {
+    if (!artist) {
+      return [''];
+    }
+
+    artist = utils.trim(artist);
+    var append = '';
+
+    // Strip Jr./Sr. from the string, and append at the end.
+    if (!gc.re.SORTNAME_SR) {
+      gc.re.SORTNAME_SR = /,\s*Sr[\.]?$/i;
+      gc.re.SORTNAME_JR = /,\s*Jr[\.]?$/i;
+    }
+
+    if (artist.match(gc.re.SORTNAME_SR)) {
+      artist = artist.replace(gc.re.SORTNAME_SR, '');
+      append = ', Sr.';
+    } else if (artist.match(gc.re.SORTNAME_JR)) {
+      artist = artist.replace(gc.re.SORTNAME_JR, '');
+      append = ', Jr.';
+    }
+    var names = artist.split(' ');
+
+    /*
+     * Handle some special cases, like DJ, The, Los which
+     * are sorted at the end.
+     */
+    var reorder = false;
+    if (!gc.re.SORTNAME_DJ) {
+      gc.re.SORTNAME_DJ = /^DJ$/i; // match DJ
+      gc.re.SORTNAME_THE = /^The$/i; // match The
+      gc.re.SORTNAME_LOS = /^Los$/i; // match Los
+      gc.re.SORTNAME_DR = /^Dr\.$/i; // match Dr.
+    }
+    var firstName = names[0];
+    if (firstName.match(gc.re.SORTNAME_DJ)) {
+      append = (', DJ' + append); // handle DJ xyz -> xyz, DJ
+      names[0] = null;
+    } else if (firstName.match(gc.re.SORTNAME_THE)) {
+      append = (', The' + append); // handle The xyz -> xyz, The
+      names[0] = null;
+    } else if (firstName.match(gc.re.SORTNAME_LOS)) {
+      append = (', Los' + append); // handle Los xyz -> xyz, Los
+      names[0] = null;
+    } else if (firstName.match(gc.re.SORTNAME_DR)) {
+      append = (', Dr.' + append); // handle Dr. xyz -> xyz, Dr.
+      names[0] = null;
+      reorder = true; // reorder doctors.
+    } else {
+      reorder = true; // reorder by default
+    }
 
-      return '';
+    if (!person) {
+      reorder = false; // only reorder persons, not groups.
+    }
+
+    names = names.filter(Boolean);
+
+    /*
+     * Persons are sorted by surname, taking particles like "van" and
+     * double surnames into account.
+     */
+    var sortNames = reorder
+      ? guessPersonSortNames(names, gc.mode.name)
+      : [names.join(' ')];
+
+    return sortNames.map(function (sortName) {
+      return utils.trim(sortName + append);
     });
+  }
+
+  /*
+   * Guesses the possible sortnames for artists. The first one is the
+   * preferred one, the others are alternatives for ambiguous names.
+   */
+  self.guessSortNames = function (is, person) {
+    var sortNames = [];
+    var hasMore = true;
+
+    for (var i = 0; hasMore; i++) {
+      hasMore = false;
+      sortNames.push(self.sortCompoundName(is, function (artist) {
+        var candidates = guessArtistSortNames(artist, person);
+        hasMore = hasMore || candidates.length > i + 1;
+        return candidates[i] || candidates[0];
+      }));
+    }
+    return sortNames;
+  };
+
+  // Guesses the sortname for artists
+  self.guessSortName = function (is, person) {
+    return self.guessSortNames(is, person)[0];
   };
 
   var baseProcess = self.process;
@@ -9,6 +9,7 @@
 
 import MB from '../../../common/MB';
 import getCookie from '../../../common/utility/getCookie';
+import {applyExceptions} from '../../exceptions';
 import * as flags from '../../flags';
 import * as modes from '../../modes';
 
@@ -30,7 +31,7 @@ MB.GuessCase = MB.GuessCase || {};
 var self = {};
 
 self.modeName = getCookie('guesscase_mode') || 'English';
-self.mode = modes[self.modeName];
+self.mode = modes.getMode(self.modeName);
 
 // Config
 self.CFG_UC_UPPERCASED = getCookie('guesscase_keepuppercase') !== 'false';
@@ -73,7 +74,26 @@ function guess(handlerName, method) {
     // if it was not a special case, start Guessing
       : handler[method].apply(handler, arguments);
 
-    return os;
+    /*
+     * The user's exceptions are applied last, so that no handler's own
+     * fixes (e.g. of vinyl sizes) can undo them.
+     */
+    return Array.isArray(os)
+      ? os.map(x => applyExceptions(x))
+      : applyExceptions(os);
+  };
+}
+
+/*
+ * Like guess, but for handler methods which return a list of candidates,
+ * the first being the preferred one. Special cases only have one.
+ */
+function guessCandidates(handlerName, method) {
+  const guessOne = guess(handlerName, method);
+
+  return function () {
+    const result = guessOne.apply(this, arguments);
+    return Array.isArray(result) ? result : [result];
   };
 }
 
@@ -85,6 +105,7 @@ MB.GuessCase.area = {
 MB.GuessCase.artist = {
   guess: guess('Artist', 'process'),
   sortname: guess('Artist', 'guessSortName'),
+  sortnames: guessCandidates('Artist', 'guessSortNames'),
 };
 
 MB.GuessCase.label = {
@@ -0,0 +1,85 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import escapeRegExp from '../common/utility/escapeRegExp';
+import {localStorage} from '../common/utility/storage';
+
+/*
+ * The user's dictionary of words and phrases that guess case should
+ * always spell exactly as given, e.g. "iPhone", "deadmau5" or "AC/DC".
+ */
+const EXCEPTIONS_KEY = 'guesscase_exceptions';
+
+// Characters that can surround a word or phrase in a title.
+const BOUNDARY = '[\\s()[\\]{}"“”‘’\'.,:;!?/&+*-]';
+
+export function getExceptions() {
+  const exceptions = localStorage(EXCEPTIONS_KEY);
+  if (exceptions) {
+    try {
+      const parsed = JSON.parse(exceptions);
+      if (Array.isArray(parsed)) {
+        return parsed.filter(x => typeof x === 'string');
+      }
+    } catch (e) {
+      // Ignore corrupted values.
+    }
+  }
+  return [];
+}
+
+export function setExceptions(exceptions) {
+  localStorage(EXCEPTIONS_KEY, JSON.stringify(exceptions));
+}
+
+/*
+ * Adds an entry to the dictionary, replacing any entry which only
+ * differs from it by case. Returns the updated dictionary.
+ */
+export function addException(exception) {
+  const entry = exception.trim();
+  if (!entry) {
+    return getExceptions();
+  }
+  const exceptions = getExceptions()
+    .filter(x => x.toLowerCase() !== entry.toLowerCase());
+  exceptions.push(entry);
+  exceptions.sort((a, b) => a.localeCompare(b));
+  setExceptions(exceptions);
+  return exceptions;
+}
+
+export function removeException(exception) {
+  const exceptions = getExceptions().filter(x => x !== exception);
+  setExceptions(exceptions);
+  return exceptions;
+}
+
+/*
+ * Restores the exact spelling of each dictionary entry wherever it
+ * appears in the string as a whole word or phrase, ignoring case.
+ * Longer entries take precedence over the shorter ones they contain.
+ */
+export function applyExceptions(is, exceptions = getExceptions()) {
+  if (!exceptions.length) {
+    return is;
+  }
+  const spellings = new Map(exceptions.map(x => [x.toLowerCase(), x]));
+  const alternatives = Array.from(spellings.keys())
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  const regExp = new RegExp(
+    '(^|' + BOUNDARY + ')(' + alternatives.join('|') + ')' +
+    '(?=' + BOUNDARY + '|$)',
+    'gi',
+  );
+  return is.replace(
+    regExp,
+    (match, before, word) => before + spellings.get(word.toLowerCase()),
+  );
+}
@@ -12,6 +12,7 @@ import * as ReactDOMServer from 'react-dom/server';
 import getBooleanCookie from '../common/utility/getBooleanCookie';
 import {capitalize} from '../common/utility/strings';
 
+import LANGUAGES from './languages';
 import {
   isPrepBracketWord,
   isPrepBracketSingleWord,
@@ -153,6 +154,10 @@ const DefaultMode = {
     return UPPER_CASE_WORDS.test(w);
   },
 
+  keepsCapitalisedWords() {
+    return false;
+  },
+
   name: '',
 
   toLowerCase(str) {
@@ -387,3 +392,138 @@ export const Turkish = Object.assign({}, DefaultMode, {
 
   toUpperCase: turkishUpperCase,
 });
+
+function compileFixes(fixes) {
+  return (fixes || []).map(fix => [
+    new RegExp(fix.pattern, fix.flags || ''),
+    fix.replacement,
+  ]);
+}
+
+function describeLanguageMode(language) {
+  const name = l_languages(language.name);
+
+  if (!language.guidelines) {
+    return language.sentenceCaps
+      ? texp.l(
+        `This mode capitalises {language} titles as sentence mode.
+         Some words may need to be manually capitalised.`,
+        {language: name},
+      )
+      : texp.l(
+        `This mode capitalises almost all words of {language} titles,
+         with some words (mainly articles and short prepositions)
+         lowercased. Some words may need to be manually corrected.`,
+        {language: name},
+      );
+  }
+
+  const url = {href: language.guidelines, target: '_blank'};
+
+  return language.sentenceCaps
+    ? exp.l(
+      `This mode capitalises {language} titles as sentence mode.
+       Some words may need to be manually capitalised to follow
+       the {url|{language} capitalisation guidelines}.`,
+      {language: name, url},
+    )
+    : exp.l(
+      `This mode capitalises almost all words of {language} titles,
+       with some words (mainly articles and short prepositions)
+       lowercased. Some words may need to be manually corrected to follow
+       the {url|{language} capitalisation guidelines}.`,
+      {language: name, url},
+    );
+}
+
+/*
+ * Creates a mode from a language definition in languages.json, which has
+ * the following properties:
+ *
+ * - name: The name of the language in English, as used for languages
+ *         in the database.
+ * - guidelines: The URL of the capitalisation guidelines for the language
+ *               (optional).
+ * - sentenceCaps: Whether titles are capitalised as sentences, rather
+ *                 than capitalising almost all words like English.
+ * - keepCapitalisedWords: Whether words capitalised in the input stay
+ *                         capitalised in sentence mode, for languages
+ *                         which capitalise nouns (such as German).
+ * - lowerCaseWords: Words which are always lowercase, such as articles
+ *                   and short prepositions. These replace the English ones.
+ * - upperCaseWords: Words which are always uppercase, in addition to
+ *                   common acronyms like "DJ" or "EP".
+ * - preProcessFixes, postProcessFixes: Fixes applied after the default
+ *   ones, as {pattern, flags, replacement} objects. As for the default
+ *   fixes, the first and last groups of the pattern are kept around the
+ *   replacement.
+ */
+export function createLanguageMode(language) {
+  const lowerCaseWords = new Set(language.lowerCaseWords);
+  const upperCaseWords = new Set(language.upperCaseWords);
+  const preProcessFixes = compileFixes(language.preProcessFixes);
+  const postProcessFixes = compileFixes(language.postProcessFixes);
+
+  return Object.assign({}, DefaultMode, {
+    description: ReactDOMServer.renderToStaticMarkup(
+      describeLanguageMode(language),
+    ),
+
+    isLowerCaseWord(w) {
+      return lowerCaseWords.has(w);
+    },
+
+    isSentenceCaps() {
+      return !!language.sentenceCaps;
+    },
+
+    isUpperCaseWord(w) {
+      return upperCaseWords.has(w) || UPPER_CASE_WORDS.test(w);
+    },
+
+    keepsCapitalisedWords() {
+      return !!language.keepCapitalisedWords;
+    },
+
+    name: language.name,
+
+    preProcessTitles(is) {
+      return runFixes(DefaultMode.preProcessTitles(is), preProcessFixes);
+    },
+
+    runPostProcess(is) {
+      return runFixes(DefaultMode.runPostProcess(is), postProcessFixes);
+    },
+  });
+}
+
+const BUILT_IN_MODES = {English, French, Sentence, Turkish};
+
+const BUILT_IN_MODE_LABELS = {
+  English: N_l('English'),
+  French: N_l('French'),
+  Sentence: N_l('Sentence'),
+  Turkish: N_l('Turkish'),
+};
+
+const LANGUAGE_MODES = {};
+for (const language of LANGUAGES) {
+  if (!BUILT_IN_MODES[language.name]) {
+    LANGUAGE_MODES[language.name] = createLanguageMode(language);
+  }
+}
+
+// Mode names in the order they're offered, built-in modes first.
+export const MODE_NAMES = ['English', 'Sentence', 'French', 'Turkish']
+  .concat(Object.keys(LANGUAGE_MODES));
+
+// English is used for unknown names, e.g. from an outdated cookie.
+export function getMode(name) {
+  return BUILT_IN_MODES[name] || LANGUAGE_MODES[name] || English;
+}
+
+export function getModeLabel(name) {
+  return BUILT_IN_MODE_LABELS[name]
+    ? BUILT_IN_MODE_LABELS[name]()
+    : l_languages(name);
+}
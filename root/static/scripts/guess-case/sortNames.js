@@ -0,0 +1,159 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+/*
+ * Nobiliary particles and other surname prefixes, per language (keyed by
+ * guess case mode name). Particles from every language are recognized, so
+ * that e.g. "Ludwig van Beethoven" is handled in any mode, but the mode
+ * decides which of the possible sort names is preferred:
+ *
+ *  - particlesWithSurname: lowercase particles stay with the surname
+ *    ("da Ponte, Lorenzo") rather than following the given names
+ *    ("Beethoven, Ludwig van").
+ *  - doubleSurnames: the last two names are preferably treated as a
+ *    double surname ("García Márquez, Gabriel").
+ *  - conjunctions: join two surnames ("Ortega y Gasset, José").
+ */
+const LANGUAGES = {
+  Dutch: {
+    particles: ['de', 'den', 'der', 'het', '\'t', 'te', 'ten', 'ter', 'van'],
+  },
+  French: {
+    particles: ['de', 'des', 'du', 'la', 'le'],
+  },
+  German: {
+    particles: ['am', 'auf', 'der', 'vom', 'von', 'zu', 'zum', 'zur'],
+  },
+  Italian: {
+    particles: ['da', 'de', 'degli', 'dei', 'del', 'della', 'di'],
+    particlesWithSurname: true,
+  },
+  Portuguese: {
+    conjunctions: ['e'],
+    particles: ['da', 'das', 'de', 'do', 'dos'],
+  },
+  Spanish: {
+    conjunctions: ['y'],
+    doubleSurnames: true,
+    particles: ['de', 'del', 'la', 'las', 'los'],
+  },
+};
+
+const PARTICLES = new Set(
+  Object.values(LANGUAGES).flatMap(language => language.particles),
+);
+
+const CONJUNCTIONS = new Set(
+  Object.values(LANGUAGES).flatMap(language => language.conjunctions || []),
+);
+
+// Prefixes which are always part of the surname, whatever their case.
+const SURNAME_PREFIXES = new Set(['st.', 'ste.']);
+
+/*
+ * Names in these scripts (CJK, Hangul and Thai) are already written in
+ * sort order, or aren't sorted by surname at all.
+ */
+const UNORDERED_SCRIPTS = new RegExp(
+  '[' +
+  '\\u0E00-\\u0E7F' + // Thai
+  '\\u1100-\\u11FF\\u3130-\\u318F\\uAC00-\\uD7AF' + // Hangul
+  '\\u3040-\\u30FF' + // Hiragana and Katakana
+  '\\u3400-\\u4DBF\\u4E00-\\u9FFF' + // CJK ideographs
+  ']',
+);
+
+// Russian and other East Slavic patronymics, also when romanized.
+const PATRONYMIC =
+  /(?:[еио]вич|ич|[еио]вна|ична|[eo]vich|[eo]vitch|[eo]vna|ichna)$/i;
+
+function isLowerCase(word) {
+  return word !== word.toUpperCase() && word === word.toLowerCase();
+}
+
+function isParticle(word) {
+  return PARTICLES.has(word.toLowerCase()) ||
+    SURNAME_PREFIXES.has(word.toLowerCase());
+}
+
+function joinNames(surnames, givenNames) {
+  return givenNames.length
+    ? surnames.join(' ') + ', ' + givenNames.join(' ')
+    : surnames.join(' ');
+}
+
+/*
+ * Returns the possible sort names of a person, given the words of their
+ * name and the guess case mode name. The first sort name is the preferred
+ * one; more are only returned if the name is ambiguous.
+ */
+export function guessPersonSortNames(names, modeName) {
+  const language = LANGUAGES[modeName] || {};
+  const last = names.length - 1;
+
+  if (names.length < 2 || UNORDERED_SCRIPTS.test(names.join(''))) {
+    return [names.join(' ')];
+  }
+
+  // "Чайковский Пётр Ильич" is already written surname first.
+  if (
+    names.length === 3 &&
+    PATRONYMIC.test(names[2]) &&
+    !PATRONYMIC.test(names[1])
+  ) {
+    return [joinNames(names.slice(0, 1), names.slice(1))];
+  }
+
+  let surnameStart = last;
+  if (surnameStart > 2 && CONJUNCTIONS.has(names[surnameStart - 1])) {
+    surnameStart -= 2;
+  }
+
+  let particleStart = surnameStart;
+  while (particleStart > 1 && isParticle(names[particleStart - 1])) {
+    particleStart--;
+  }
+
+  const givenNames = names.slice(0, particleStart);
+  const particles = names.slice(particleStart, surnameStart);
+  const surnames = names.slice(surnameStart);
+  const candidates = [];
+
+  if (particles.length) {
+    const withSurname = joinNames(particles.concat(surnames), givenNames);
+    const afterGivenNames =
+      joinNames(surnames, givenNames.concat(particles));
+
+    if (particles.some(x => SURNAME_PREFIXES.has(x.toLowerCase()))) {
+      candidates.push(withSurname);
+    } else if (isLowerCase(particles[0]) && !language.particlesWithSurname) {
+      candidates.push(afterGivenNames, withSurname);
+    } else {
+      candidates.push(withSurname, afterGivenNames);
+    }
+  } else {
+    candidates.push(joinNames(surnames, givenNames));
+
+    // "Gabriel García Márquez" may have a double surname.
+    if (
+      surnameStart === last &&
+      givenNames.length > 1 &&
+      !PATRONYMIC.test(names[last - 1])
+    ) {
+      const doubleSurname =
+        joinNames(names.slice(last - 1), names.slice(0, last - 1));
+      if (language.doubleSurnames) {
+        candidates.unshift(doubleSurname);
+      } else {
+        candidates.push(doubleSurname);
+      }
+    }
+  }
+
+  return candidates;
+}
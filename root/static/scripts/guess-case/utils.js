@@ -231,7 +231,13 @@ export function titleString(gc, is, forceCaps) {
   ) {
     os = uc;
   } else {
-    os = titleStringByMode(gc, lc, forceCaps);
+    /*
+     * Languages which capitalise nouns keep the capital letters of the
+     * input, since nouns can't be told apart from other words.
+     */
+    const keepCapital = gc.mode.keepsCapitalisedWords() &&
+      is.charAt(0) !== lc.charAt(0);
+    os = titleStringByMode(gc, lc, forceCaps || keepCapital);
     lc = gc.mode.toLowerCase(os);
     uc = gc.mode.toUpperCase(os);
 
@@ -0,0 +1,45 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import ko from 'knockout';
+
+import parseIntegerOrNull from '../../common/utility/parseIntegerOrNull';
+
+var unwrapInteger = x => parseIntegerOrNull(ko.unwrap(x));
+
+/*
+ * Converts a partial date into a comparable number. Missing parts are
+ * filled in with the earliest possible value for the start of a period,
+ * and the latest possible value for its end; a missing year leaves the
+ * period open.
+ */
+function dateBound(date, isEnd) {
+  const year = unwrapInteger(date.year);
+  let month = unwrapInteger(date.month);
+  let day = unwrapInteger(date.day);
+
+  if (year === null) {
+    return isEnd ? Infinity : -Infinity;
+  }
+  if (month === null) {
+    month = isEnd ? 12 : 1;
+  }
+  if (day === null) {
+    day = isEnd ? 31 : 1;
+  }
+  return (year * 10000) + (month * 100) + day;
+}
+
+function datePeriodsOverlap(a, b) {
+  return (
+    dateBound(a.begin_date, false) <= dateBound(b.end_date, true) &&
+    dateBound(b.begin_date, false) <= dateBound(a.end_date, true)
+  );
+}
+
+export default datePeriodsOverlap;
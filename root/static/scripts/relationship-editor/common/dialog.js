@@ -687,7 +687,7 @@ Object.assign(Dialog.prototype, {
   },
 });
 
-function addRelationships(relationships, source, viewModel) {
+export function addRelationships(relationships, source, viewModel) {
   for (const relationship of relationships) {
     if (source.mergeRelationship(relationship)) {
       return;
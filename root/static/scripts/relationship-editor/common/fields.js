@@ -29,6 +29,7 @@ import {fixedWidthInteger, uniqueId} from '../../common/utility/strings';
 import mbEdit from '../../edit/MB/edit';
 import * as linkPhrase from '../../edit/utility/linkPhrase';
 
+import datePeriodsOverlap from './datePeriodsOverlap';
 import mergeDates from './mergeDates';
 
 const RE = MB.relationshipEditor = MB.relationshipEditor || {};
@@ -517,22 +518,88 @@ class Relationship {
   }
 
   isDuplicate(other) {
-    const mergedBeginDate = mergeDates(this.begin_date, other.begin_date);
-    const mergedEndDate = mergeDates(this.end_date, other.end_date);
-    const isDatePeriodValid = mergedBeginDate && mergedEndDate &&
-      dates.isDatePeriodValid(mergedBeginDate, mergedEndDate);
-
     return (
       this !== other &&
       this.linkTypeID() == other.linkTypeID() &&
       this.linkOrder() == other.linkOrder() &&
       deepEqual(this.entities(), other.entities()) &&
-      isDatePeriodValid &&
+      this.canMergeDatesWith(other) &&
       this.ended() === other.ended() &&
       attributesAreEqual(this.attributes(), other.attributes())
     );
   }
 
+  canMergeDatesWith(other) {
+    const mergedBeginDate = mergeDates(this.begin_date, other.begin_date);
+    const mergedEndDate = mergeDates(this.end_date, other.end_date);
+
+    return Boolean(
+      mergedBeginDate &&
+      mergedEndDate &&
+      dates.isDatePeriodValid(mergedBeginDate, mergedEndDate),
+    );
+  }
+
+  /*
+   * A pending relationship conflicts with another one between the same
+   * entities and of the same type if their date periods overlap. These
+   * aren't merged automatically like duplicates are, since they may
+   * differ in their attributes or dates.
+   */
+  conflictsWith(other) {
+    return (
+      this !== other &&
+      !this.removed() &&
+      !other.removed() &&
+      (this.added() || this.edited()) &&
+      this.linkTypeID() == other.linkTypeID() &&
+      deepEqual(this.entities(), other.entities()) &&
+      datePeriodsOverlap(this, other)
+    );
+  }
+
+  conflicts() {
+    return this.entities()[0].relationships().filter(
+      other => this.conflictsWith(other),
+    );
+  }
+
+  /*
+   * Merges a conflicting relationship with this one, keeping the existing
+   * relationship where there is one. Attributes are combined, and dates
+   * are merged as for duplicates (see canMergeDatesWith).
+   */
+  mergeWith(other) {
+    let kept = other;
+    let merged = this;
+
+    if (other.added() && !this.added()) {
+      kept = this;
+      merged = other;
+    }
+
+    const data = {...kept.editData()};
+    delete data.id;
+
+    const attributeTypes = new Set(data.attributes.map(x => x.type.gid));
+    const mergedAttributes = merged.editData().attributes;
+    data.attributes = data.attributes.concat(
+      mergedAttributes.filter(x => !attributeTypes.has(x.type.gid)),
+    );
+    data.begin_date = mergeDates(kept.begin_date, merged.begin_date);
+    data.end_date = mergeDates(kept.end_date, merged.end_date);
+    data.ended = kept.ended() || merged.ended();
+
+    kept.fromJS(data);
+
+    if (merged.added()) {
+      merged.remove();
+    } else {
+      merged.fromJS(merged.original);
+      merged.removed(true);
+    }
+  }
+
   openEdits() {
     var entities = this.original.entities;
     var entity0 = mbEntity(entities[0]);
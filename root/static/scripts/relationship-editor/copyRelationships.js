@@ -0,0 +1,193 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import $ from 'jquery';
+import ko from 'knockout';
+
+import '../../lib/jquery-ui';
+
+import {cloneObjectDeep} from '../common/utility/cloneDeep';
+
+import {addRelationships} from './common/dialog';
+
+/*
+ * Adds a copy of each relationship of the source entity to each of the
+ * targets, with the same attributes and dates. The source's own credit
+ * isn't copied, since it only applies to the source.
+ */
+export function copyRelationships(relationships, source, targets, viewModel) {
+  for (const relationship of relationships) {
+    const backward = relationship.entities.peek()[1] === source;
+    const relationshipTarget = relationship.target(source);
+    const data = {...relationship.editData.peek()};
+
+    delete data.id;
+    delete data.entities;
+
+    data.direction = backward ? 'backward' : 'forward';
+    data[backward ? 'entity1_credit' : 'entity0_credit'] = '';
+
+    for (const target of targets) {
+      if (target === source || target === relationshipTarget) {
+        continue;
+      }
+      // The new relationship mutates its dates, so each gets its own copy.
+      const copy = viewModel.getRelationship({
+        ...cloneObjectDeep(data),
+        target: relationshipTarget,
+      }, target);
+      if (copy) {
+        addRelationships([copy], target, viewModel);
+      }
+    }
+  }
+}
+
+function isPerformance(relationship) {
+  return relationship.entityTypes === 'recording-work';
+}
+
+function getChoices(source, filter) {
+  return source.relationships.peek()
+    .filter(relationship => (
+      !relationship.removed.peek() && filter(relationship)
+    ))
+    .map(relationship => new RelationshipChoice(relationship, source));
+}
+
+function getWorks(recordings) {
+  const works = new Set();
+  for (const recording of recordings) {
+    for (const relationship of recording.performances.peek()) {
+      works.add(relationship.target(recording));
+    }
+  }
+  return Array.from(works);
+}
+
+function getSelectedChoices(choices) {
+  return choices.filter(choice => choice.selected.peek());
+}
+
+class RelationshipChoice {
+  constructor(relationship, source) {
+    this.relationship = relationship;
+    this.source = source;
+    this.phrase = relationship.linkPhrase(source);
+    this.targetHTML = relationship.target(source).html({target: '_blank'});
+    this.datePeriod = relationship.formatDatePeriod();
+    /*
+     * Performances aren't selected by default, since copying them links
+     * all the recordings to the same work, and neither are relationships
+     * of the works, which are often different for each of them.
+     */
+    this.selected = ko.observable(
+      source.entityType === 'recording' && !isPerformance(relationship),
+    );
+  }
+}
+
+export class CopyRelationshipsDialog {
+  constructor(viewModel) {
+    this.viewModel = viewModel;
+    this.source = null;
+    this.targets = ko.observableArray([]);
+    this.choices = ko.observableArray([]);
+    this.workChoices = ko.observableArray([]);
+    this.widget = null;
+
+    this.selectedCount = ko.computed(() => {
+      return this.choices().concat(this.workChoices())
+        .filter(choice => choice.selected())
+        .length;
+    });
+  }
+
+  /*
+   * Lists the relationships of the source recording and of its works to
+   * choose from.
+   */
+  load(source, targets) {
+    this.source = source;
+    this.targets(targets.filter(target => target !== source));
+    this.choices(getChoices(source, () => true));
+    this.workChoices(
+      getWorks([source]).flatMap(work => getChoices(
+        work,
+        relationship => !isPerformance(relationship),
+      )),
+    );
+  }
+
+  open(source, targets) {
+    this.load(source, targets);
+
+    if (!this.widget) {
+      this.widget = $('#copy-relationships-dialog')
+        .dialog({
+          autoOpen: false,
+          dialogClass: 'rel-editor-dialog',
+          title: l('Copy relationships'),
+          width: 'auto',
+        })
+        .data('ui-dialog');
+    }
+    this.widget.open();
+  }
+
+  close() {
+    if (this.widget) {
+      this.widget.close();
+    }
+  }
+
+  allChoices() {
+    return this.choices.peek().concat(this.workChoices.peek());
+  }
+
+  selectAll() {
+    for (const choice of this.allChoices()) {
+      choice.selected(true);
+    }
+  }
+
+  selectNone() {
+    for (const choice of this.allChoices()) {
+      choice.selected(false);
+    }
+  }
+
+  /*
+   * Copies the recording relationships to the checked recordings, and the
+   * work relationships to the works of the checked recordings (including
+   * works linked by copied performances).
+   */
+  apply() {
+    const targets = this.targets.peek();
+
+    copyRelationships(
+      getSelectedChoices(this.choices.peek())
+        .map(choice => choice.relationship),
+      this.source,
+      targets,
+      this.viewModel,
+    );
+
+    const targetWorks = getWorks(targets);
+
+    for (const choice of getSelectedChoices(this.workChoices.peek())) {
+      copyRelationships(
+        [choice.relationship],
+        choice.source,
+        targetWorks,
+        this.viewModel,
+      );
+    }
+    this.close();
+  }
+}
@@ -0,0 +1,438 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import $ from 'jquery';
+import ko from 'knockout';
+
+import '../../lib/jquery-ui';
+
+import {INSTRUMENT_ROOT_ID, VOCAL_ROOT_ID} from '../common/constants';
+import localizeAttribute from '../common/i18n/localizeLinkAttributeTypeName';
+import linkedEntities from '../common/linkedEntities';
+import MB from '../common/MB';
+import request from '../common/utility/request';
+
+import {addRelationships} from './common/dialog';
+
+/*
+ * Splits a credit into its roles and names, e.g. "Bass – John Smith",
+ * "Mixed By: Jane Doe" or "Vocals<tab>John Smith".
+ */
+const CREDIT_SEPARATOR = /\s+[-–—]\s+|\s*:\s+|\t+/;
+
+// A trailing "(tracks 1-3, 5)" or "(tr. A1 to A3)".
+const TRACKS_SUFFIX = /\s*\((?:tracks?|tr\.)\s*:?\s*([^)]+)\)\s*$/i;
+
+// Discogs-style artist name variations ("John*") and numbers ("John (2)").
+const NAME_SUFFIX = /\s*(?:\*|\(\d+\))$/;
+
+// Role strings which differ from the name of their link type.
+const ROLE_LINK_TYPES = {
+  'arranged': 'arranger',
+  'arrangement': 'arranger',
+  'artwork': 'design/illustration',
+  'conducted': 'conductor',
+  'engineered': 'engineer',
+  'mastered': 'mastering',
+  'mixed': 'mix',
+  'mixing': 'mix',
+  'orchestra': 'performing orchestra',
+  'photos': 'photography',
+  'produced': 'producer',
+  'production': 'producer',
+  'programmed': 'programming',
+  'recorded': 'recording',
+  'remix': 'remixer',
+  'remixed': 'remixer',
+};
+
+// Role strings which differ from the name of their attribute.
+const ROLE_ATTRIBUTES = {
+  'backing vocals': 'background vocals',
+  'bass': 'bass guitar',
+  'drums': 'drums (drum set)',
+  'keys': 'keyboard',
+  'vocals': null,
+};
+
+function normalizeRole(role) {
+  return role
+    .toLowerCase()
+    .replace(/[-\s]+by$/, '')
+    .trim();
+}
+
+function findLinkType(name, sourceType) {
+  return Object.values(linkedEntities.link_type).find(
+    linkType => linkType.type0 === 'artist' &&
+      linkType.type1 === sourceType &&
+      linkType.name.toLowerCase() === name &&
+      linkType.description &&
+      !linkType.deprecated,
+  ) || null;
+}
+
+function findAttribute(name, rootID) {
+  return Object.values(linkedEntities.link_attribute_type).find(
+    attribute => attribute.root_id === rootID &&
+      attribute.name.toLowerCase() === name,
+  ) || null;
+}
+
+/*
+ * Finds the link type and attributes for a role string, for relationships
+ * between artists and entities of the given type. Instruments and vocals
+ * are looked up in the attribute types, and other roles in the link types.
+ * Returns null if the role isn't known.
+ */
+export function matchCreditRole(role, sourceType) {
+  const name = normalizeRole(role);
+  const candidates = [name, name.replace(/s$/, '')];
+  if (hasOwnProp(ROLE_ATTRIBUTES, name)) {
+    candidates.unshift(ROLE_ATTRIBUTES[name]);
+  }
+
+  for (const [linkTypeName, rootID] of [
+    ['vocal', VOCAL_ROOT_ID],
+    ['instrument', INSTRUMENT_ROOT_ID],
+  ]) {
+    const linkType = findLinkType(linkTypeName, sourceType);
+    if (!linkType) {
+      continue;
+    }
+    if (candidates[0] === null && linkTypeName === 'vocal') {
+      return {attributes: [], linkType};
+    }
+    for (const candidate of candidates) {
+      const attribute = candidate && findAttribute(candidate, rootID);
+      if (attribute) {
+        return {attributes: [attribute], linkType};
+      }
+    }
+  }
+
+  const linkType = findLinkType(
+    hasOwnProp(ROLE_LINK_TYPES, name) ? ROLE_LINK_TYPES[name] : name,
+    sourceType,
+  );
+  return linkType ? {attributes: [], linkType} : null;
+}
+
+/*
+ * Parses pasted liner notes into a list of credits, one per role and name.
+ * Track positions are kept as written; see findTracks.
+ */
+export function parseCredits(text) {
+  const credits = [];
+
+  for (let line of text.split('\n')) {
+    line = line.trim();
+    if (!line) {
+      continue;
+    }
+
+    const separator = line.match(CREDIT_SEPARATOR);
+    if (!separator || !separator.index) {
+      credits.push({line, name: '', role: '', tracks: null});
+      continue;
+    }
+
+    const roles = line.slice(0, separator.index);
+    let names = line.slice(separator.index + separator[0].length);
+    let tracks = null;
+
+    const tracksMatch = names.match(TRACKS_SUFFIX);
+    if (tracksMatch) {
+      tracks = tracksMatch[1].trim();
+      names = names.slice(0, tracksMatch.index);
+    }
+
+    for (const role of roles.split(/\s*,\s*|\s+&\s+/)) {
+      for (const name of names.split(/\s*,\s*/)) {
+        if (role && name) {
+          credits.push({
+            line,
+            name: name.replace(NAME_SUFFIX, ''),
+            role,
+            tracks,
+          });
+        }
+      }
+    }
+  }
+
+  return credits;
+}
+
+/*
+ * Finds the tracks of a release matching a list of positions, such as
+ * "1-3, 5", "A1 to A3" or "2-1 to 2-4". Positions are track numbers, or
+ * on releases with several mediums, medium positions and track numbers
+ * joined by "-" or ".". Returns the tracks found, or the first position
+ * that couldn't be found as the error.
+ */
+export function findTracks(positions, mediums) {
+  const tracks = [];
+  const trackIndexes = new Map();
+
+  for (const medium of mediums) {
+    for (const track of medium.tracks) {
+      const keys = [track.number];
+      // On a single medium, "1-3" is a range rather than a position.
+      if (mediums.length > 1) {
+        keys.push(
+          medium.position + '-' + track.number,
+          medium.position + '.' + track.number,
+        );
+      }
+      for (const key of keys) {
+        if (!trackIndexes.has(key.toLowerCase())) {
+          trackIndexes.set(key.toLowerCase(), tracks.length);
+        }
+      }
+      tracks.push(track);
+    }
+  }
+
+  const found = new Set();
+
+  for (const item of positions.split(/\s*(?:,|&|\band\b)\s*/)) {
+    const position = item.toLowerCase();
+    let range = [position, position];
+
+    if (!trackIndexes.has(position)) {
+      range = position.split(/\s+to\s+|\s*–\s*/);
+      if (range.length !== 2) {
+        range = position.split(/\s*-\s*/);
+      }
+    }
+
+    const [start, end] = range.map(x => trackIndexes.get(x));
+    if (range.length !== 2 || start === undefined || end === undefined) {
+      return {error: item, tracks: []};
+    }
+    for (let i = Math.min(start, end); i <= Math.max(start, end); i++) {
+      found.add(i);
+    }
+  }
+
+  return {
+    error: null,
+    tracks: Array.from(found).sort((a, b) => a - b).map(i => tracks[i]),
+  };
+}
+
+function getCreditTargets(credit, release) {
+  const mediums = release.mediums.peek();
+
+  if (credit.tracks) {
+    const {error, tracks} = findTracks(credit.tracks, mediums);
+    if (error) {
+      return {
+        error: texp.l('Unknown track: {position}.', {position: error}),
+      };
+    }
+    return {match: matchCreditRole(credit.role, 'recording'), tracks};
+  }
+
+  /*
+   * Performers are credited on every recording; other roles on the
+   * release itself, where possible.
+   */
+  const match = matchCreditRole(credit.role, 'release');
+  if (
+    match &&
+    match.linkType.name !== 'instrument' &&
+    match.linkType.name !== 'vocal'
+  ) {
+    return {match, release};
+  }
+  return {
+    match: matchCreditRole(credit.role, 'recording'),
+    tracks: mediums.flatMap(medium => medium.tracks),
+  };
+}
+
+class CreditRow {
+  constructor(credit, release) {
+    this.line = credit.line;
+    this.name = credit.name;
+    this.role = credit.role;
+    this.artist = ko.observable(null);
+    // Artists with the credited name, for choosing between homonyms.
+    this.candidates = ko.observableArray([]);
+    this.searching = ko.observable(false);
+    this.match = null;
+    this.sources = [];
+    this.targetsText = '';
+
+    if (credit.role) {
+      const targets = getCreditTargets(credit, release);
+      this.error = targets.error || '';
+      this.match = targets.match || null;
+
+      if (targets.release) {
+        this.sources = [release];
+        this.targetsText = l('Release');
+      } else if (targets.tracks) {
+        this.sources = targets.tracks.map(track => track.recording);
+        this.targetsText = texp.l('Tracks {tracks}', {
+          tracks: targets.tracks.map(track => track.number).join(', '),
+        });
+      }
+
+      if (!this.error && !this.match) {
+        this.error = texp.l('Unknown role: {role}.', {role: credit.role});
+      }
+    } else {
+      this.error = l('Couldn’t find a role and name on this line.');
+    }
+
+    this.selected = ko.observable(!this.error);
+
+    this.canApply = ko.computed(() => !this.error && !!this.artist());
+  }
+
+  roleText() {
+    if (!this.match) {
+      return this.role;
+    }
+    const {attributes, linkType} = this.match;
+    return [l_relationships(linkType.name)]
+      .concat(attributes.map(localizeAttribute))
+      .join(' – ');
+  }
+
+  artistHTML() {
+    const artist = this.artist();
+    return artist ? artist.html({target: '_blank'}) : '';
+  }
+
+  candidateText(artist) {
+    return artist.comment
+      ? texp.l('{name} ({disambiguation})', {
+        disambiguation: artist.comment,
+        name: artist.name,
+      })
+      : artist.name;
+  }
+
+  /*
+   * The artist is only chosen automatically if there's a single one with
+   * the credited name; otherwise the user has to choose between them.
+   */
+  setCandidates(artists) {
+    this.candidates(artists);
+    this.artist(artists.length === 1 ? artists[0] : null);
+  }
+}
+
+export class CreditsDialog {
+  constructor(viewModel) {
+    this.viewModel = viewModel;
+    this.text = ko.observable('');
+    this.rows = ko.observableArray([]);
+    this.widget = null;
+
+    this.selectedCount = ko.computed(() => {
+      return this.rows()
+        .filter(row => row.selected() && row.canApply())
+        .length;
+    });
+  }
+
+  open() {
+    if (!this.widget) {
+      this.widget = $('#credits-dialog')
+        .dialog({
+          autoOpen: false,
+          dialogClass: 'rel-editor-dialog',
+          title: l('Parse credits'),
+          width: 'auto',
+        })
+        .data('ui-dialog');
+    }
+    this.widget.open();
+  }
+
+  close() {
+    if (this.widget) {
+      this.widget.close();
+    }
+  }
+
+  // Searches for the artists with exactly the given name.
+  searchArtists(name) {
+    return request({
+      data: {direct: true, q: name},
+      url: '/ws/js/artist',
+    }).then(function (results) {
+      // The last item is the pager.
+      const lowerCaseName = name.toLowerCase();
+      return results.slice(0, -1)
+        .filter(x => x.name.toLowerCase() === lowerCaseName)
+        .map(x => MB.entity(x, 'artist'));
+    });
+  }
+
+  // Turns the pasted text into rows for review, and looks up the artists.
+  parse() {
+    const release = this.viewModel.source;
+    const rows = parseCredits(this.text()).map(
+      credit => new CreditRow(credit, release),
+    );
+    const searches = new Map();
+
+    for (const row of rows) {
+      if (row.error) {
+        continue;
+      }
+      let search = searches.get(row.name.toLowerCase());
+      if (!search) {
+        search = this.searchArtists(row.name);
+        searches.set(row.name.toLowerCase(), search);
+      }
+      row.searching(true);
+      search
+        .done(artists => row.setCandidates(artists))
+        .always(() => row.searching(false));
+    }
+
+    this.rows(rows);
+  }
+
+  // Adds a pending relationship for each selected row.
+  apply() {
+    const vm = this.viewModel;
+
+    for (const row of this.rows()) {
+      if (!row.selected() || !row.canApply()) {
+        continue;
+      }
+      const {attributes, linkType} = row.match;
+
+      for (const source of row.sources) {
+        const relationship = vm.getRelationship({
+          attributes: attributes.map(attribute => ({
+            type: {gid: attribute.gid},
+          })),
+          linkTypeID: linkType.id,
+          target: row.artist(),
+        }, source);
+
+        if (relationship) {
+          addRelationships([relationship], source, vm);
+        }
+      }
+    }
+
+    this.rows([]);
+    this.text('');
+    this.close();
+  }
+}
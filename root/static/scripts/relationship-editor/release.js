@@ -14,6 +14,8 @@ import {uniqBy} from '../common/utility/arrays';
 import request from '../common/utility/request';
 
 import {ViewModel} from './common/viewModel';
+import {CopyRelationshipsDialog} from './copyRelationships';
+import {CreditsDialog} from './credits';
 
 import './common/entity';
 
@@ -72,6 +74,9 @@ export class ReleaseViewModel extends ViewModel {
     this.source.mediums = ko.observableArray([]);
     this.loadingRelease = ko.observable(false);
 
+    this.copyRelationshipsDialog = new CopyRelationshipsDialog(this);
+    this.creditsDialog = new CreditsDialog(this);
+
     ko.applyBindings(this, document.getElementById('content'));
 
     this.loadRelease();
@@ -279,6 +284,17 @@ export class ReleaseViewModel extends ViewModel {
     }
   }
 
+  openCopyRelationshipsDialog(track) {
+    this.copyRelationshipsDialog.open(
+      track.recording,
+      UI.checkedRecordings(),
+    );
+  }
+
+  openCreditsDialog() {
+    this.creditsDialog.open();
+  }
+
   openRelateToWorkDialog(track) {
     var source = track.recording;
     var target = new MB.entity.Work({ name: source.name });
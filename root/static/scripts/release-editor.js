@@ -7,10 +7,15 @@ require('./release-editor/viewModel');
 require('./release-editor/utils');
 require('./release-editor/actions');
 require('./release-editor/bubbles');
+require('./release-editor/bulkArtistCredit');
+require('./release-editor/copyTracklist');
 require('./release-editor/dialogs');
+require('./release-editor/drafts');
 require('./release-editor/duplicates');
 require('./release-editor/edits');
 require('./release-editor/fields');
+require('./release-editor/guessCaseAll');
+require('./release-editor/history');
 require('./release-editor/bindingHandlers');
 require('./release-editor/init');
 require('./release-editor/recordingAssociation');
@@ -103,6 +103,8 @@ const actions = {
     var neighbor = mediums[possibleNewIndex];
 
     if (neighbor && newPosition === neighbor.position.peek()) {
+      // Lets the undo history know about the in-place change below.
+      medium.release.mediums.valueWillMutate();
       neighbor.position(oldPosition);
       mediums[index] = neighbor;
       mediums[possibleNewIndex] = medium;
@@ -203,6 +205,7 @@ const actions = {
     track2.number(number1);
     track2.isDataTrack(dataTrack1);
 
+    tracks.valueWillMutate();
     underlyingTracks[position1 - offset] = track2;
     underlyingTracks[position2 - offset] = track1;
     tracks.notifySubscribers(underlyingTracks);
@@ -0,0 +1,193 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import ko from 'knockout';
+
+import {
+  artistCreditsAreEqual,
+  hasArtist,
+  isCompleteArtistCredit,
+  reduceArtistCredit,
+} from '../common/immutable-entities';
+import guessFeat from '../edit/utility/guessFeat';
+
+import releaseEditor from './viewModel';
+
+/*
+ * Each operation returns the new name and artist credit for a track, or
+ * null if the track is left alone.
+ */
+const operations = {
+  apply: function (track, artistCredit) {
+    return {artistCredit: artistCredit, name: track.name.peek()};
+  },
+
+  replace: function (track, artistCredit, creditToReplace) {
+    if (reduceArtistCredit(track.artistCredit.peek()) !== creditToReplace) {
+      return null;
+    }
+    return {artistCredit: artistCredit, name: track.name.peek()};
+  },
+
+  strip: function (track, artistCredit) {
+    const gids = new Set(
+      artistCredit.names.filter(hasArtist).map(x => x.artist.gid),
+    );
+    return {
+      artistCredit: stripArtists(track.artistCredit.peek(), gids),
+      name: track.name.peek(),
+    };
+  },
+
+  guessFeat: function (track) {
+    let name = track.name.peek();
+    let artistCredit = track.artistCredit.peek();
+
+    // guessFeat works on observables, so give it some that don't notify.
+    guessFeat({
+      artistCredit: (...args) => (
+        args.length ? (artistCredit = args[0]) : artistCredit
+      ),
+      isProbablyClassical: () => track.isProbablyClassical(),
+      name: (...args) => (args.length ? (name = args[0]) : name),
+      relatedArtists: () => track.relatedArtists(),
+    });
+
+    return {artistCredit: artistCredit, name: name};
+  },
+};
+
+/*
+ * Removes the credited names of the given artists. The join phrase of a
+ * removed name moves to the name before it, so that stripping B from
+ * “A & B feat. C” leaves “A feat. C”.
+ */
+export function stripArtists(artistCredit, gids) {
+  const names = [];
+
+  for (const name of artistCredit.names) {
+    if (hasArtist(name) && gids.has(name.artist.gid)) {
+      if (names.length) {
+        names.push({...names.pop(), joinPhrase: name.joinPhrase});
+      }
+      continue;
+    }
+    names.push(name);
+  }
+
+  // A credit can't be left empty.
+  return names.length ? {names: names} : artistCredit;
+}
+
+function trackLabel(track) {
+  return track.medium.position.peek() + '.' + track.number.peek();
+}
+
+const bulkArtistCredit = releaseEditor.bulkArtistCredit = {
+  visible: ko.observable(false),
+  operation: ko.observable('apply'),
+  artistCredit: ko.observable({names: []}),
+  creditToReplace: ko.observable(''),
+  fromTrack: ko.observable(null),
+  toTrack: ko.observable(null),
+
+  toggle: function () {
+    bulkArtistCredit.visible(!bulkArtistCredit.visible.peek());
+  },
+
+  trackLabel: function (track) {
+    return trackLabel(track) + ' ' + track.name();
+  },
+};
+
+bulkArtistCredit.allTracks = ko.computed(function () {
+  const release = releaseEditor.rootField.release();
+  if (!release) {
+    return [];
+  }
+  return release.mediums()
+    .filter(medium => medium.loaded())
+    .flatMap(medium => medium.tracks());
+});
+
+// Tracks from fromTrack to toTrack, across mediums; all tracks by default.
+bulkArtistCredit.selectedTracks = ko.computed(function () {
+  const tracks = bulkArtistCredit.allTracks();
+  const from = tracks.indexOf(bulkArtistCredit.fromTrack());
+  const to = tracks.indexOf(bulkArtistCredit.toTrack());
+
+  return tracks.slice(
+    Math.max(from, 0),
+    to < 0 ? tracks.length : to + 1,
+  );
+});
+
+bulkArtistCredit.creditsToReplace = ko.computed(function () {
+  return [...new Set(
+    bulkArtistCredit.selectedTracks()
+      .map(track => reduceArtistCredit(track.artistCredit())),
+  )].sort();
+});
+
+bulkArtistCredit.needsArtistCredit = ko.computed(function () {
+  return bulkArtistCredit.operation() !== 'guessFeat';
+});
+
+bulkArtistCredit.changes = ko.computed(function () {
+  const operation = bulkArtistCredit.operation();
+  const artistCredit = bulkArtistCredit.artistCredit();
+  const creditToReplace = bulkArtistCredit.creditToReplace();
+
+  if (bulkArtistCredit.needsArtistCredit() &&
+      !isCompleteArtistCredit(artistCredit)) {
+    return [];
+  }
+
+  const changes = [];
+
+  for (const track of bulkArtistCredit.selectedTracks()) {
+    const oldName = track.name();
+    const oldArtistCredit = track.artistCredit();
+    const result = operations[operation](
+      track,
+      artistCredit,
+      creditToReplace,
+    );
+
+    if (result && (
+      result.name !== oldName ||
+      !artistCreditsAreEqual(result.artistCredit, oldArtistCredit)
+    )) {
+      changes.push({
+        artistCredit: result.artistCredit,
+        label: trackLabel(track),
+        name: result.name,
+        newCreditText: reduceArtistCredit(result.artistCredit),
+        oldCreditText: reduceArtistCredit(oldArtistCredit),
+        oldName: oldName,
+        track: track,
+      });
+    }
+  }
+
+  return changes;
+});
+
+bulkArtistCredit.apply = function () {
+  for (const change of bulkArtistCredit.changes.peek()) {
+    const track = change.track;
+
+    track.name(change.name);
+    track.artistCredit(change.artistCredit);
+    track.artistCreditEditorInst?.setState({
+      artistCredit: change.artistCredit,
+    });
+  }
+};
+
+export default bulkArtistCredit;
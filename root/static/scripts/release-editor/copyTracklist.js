@@ -0,0 +1,142 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import ko from 'knockout';
+import * as React from 'react';
+import * as ReactDOM from 'react-dom';
+
+import Autocomplete2, {
+  createInitialState,
+} from '../common/components/Autocomplete2';
+import autocompleteReducer from '../common/components/Autocomplete2/reducer';
+import request from '../common/utility/request';
+
+import fields from './fields';
+import utils from './utils';
+import releaseEditor from './viewModel';
+
+/*
+ * Copies mediums from an existing release, e.g. another edition of the
+ * same album. Copied mediums are set up the same way as those reused from
+ * a duplicate release: they keep the original medium's ID as originalID,
+ * and their tracks (with artist credits, lengths and recordings, but not
+ * track IDs) are loaded by Medium#loadTracks.
+ */
+
+class CopyableMedium {
+  constructor(data) {
+    this.data = data;
+    this.selected = ko.observable(true);
+  }
+
+  label() {
+    const format = this.data.format
+      ? lp_attributes(this.data.format.name, 'medium_format')
+      : lp('(unknown)', 'medium format');
+    const label = format + ' ' + this.data.position;
+
+    return this.data.name ? label + ': ' + this.data.name : label;
+  }
+}
+
+const copyTracklist = releaseEditor.copyTracklist = {
+  visible: ko.observable(false),
+  release: ko.observable(null),
+  mediums: ko.observableArray([]),
+  loading: ko.observable(false),
+  error: ko.observable(''),
+
+  toggle: function () {
+    copyTracklist.visible(!copyTracklist.visible.peek());
+  },
+
+  selectRelease: function (release) {
+    const current = copyTracklist.release.peek();
+    if ((current && current.gid) === (release && release.gid)) {
+      return;
+    }
+
+    copyTracklist.release(release);
+    copyTracklist.mediums([]);
+    copyTracklist.error('');
+
+    if (!release) {
+      return;
+    }
+
+    copyTracklist.loading(true);
+
+    request({url: '/ws/js/release/' + release.gid})
+      .done(function (data) {
+        // Ignore the response if another release was picked since.
+        if (copyTracklist.release.peek() === release) {
+          copyTracklist.mediums(
+            data.mediums.map(medium => new CopyableMedium(medium)),
+          );
+        }
+      })
+      .fail(function (jqXHR) {
+        let error;
+        try {
+          error = JSON.parse(jqXHR.responseText).error;
+        } catch (e) {
+          error = jqXHR.status + ' (' + jqXHR.statusText + ')';
+        }
+        copyTracklist.error(error);
+      })
+      .always(function () {
+        copyTracklist.loading(false);
+      });
+  },
+
+  copyMediums: function () {
+    const release = releaseEditor.rootField.release.peek();
+
+    for (const medium of copyTracklist.selectedMediums.peek()) {
+      const newMedium = new fields.Medium(
+        utils.reuseExistingMediumData(medium.data),
+        release,
+      );
+      release.addMedium(newMedium);
+      newMedium.loadTracks();
+    }
+  },
+};
+
+copyTracklist.selectedMediums = ko.computed(function () {
+  return copyTracklist.mediums().filter(medium => medium.selected());
+});
+
+const ReleaseSearch = ({onSelect}) => {
+  const [state, dispatch] = React.useReducer(
+    autocompleteReducer,
+    {
+      entityType: 'release',
+      id: 'copy-tracklist-release',
+      placeholder: l('Search for a release'),
+      width: '300px',
+    },
+    createInitialState,
+  );
+
+  const selectedItem = state.selectedItem;
+
+  React.useEffect(() => {
+    onSelect(selectedItem);
+  }, [onSelect, selectedItem]);
+
+  return <Autocomplete2 dispatch={dispatch} {...state} />;
+};
+
+ko.bindingHandlers.copyTracklistReleaseSearch = {
+  init: function (element, valueAccessor) {
+    ReactDOM.render(<ReleaseSearch onSelect={valueAccessor()} />, element);
+  },
+};
+
+export default copyTracklist;
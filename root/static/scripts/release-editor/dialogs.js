@@ -10,6 +10,7 @@ import $ from 'jquery';
 import ko from 'knockout';
 import * as ReactDOMServer from 'react-dom/server';
 
+import {MEDIUM_FORMAT_VINYL_ID} from '../common/constants';
 import {reduceArtistCredit} from '../common/immutable-entities';
 import bracketed from '../common/utility/bracketed';
 import formatTrackLength from '../common/utility/formatTrackLength';
@@ -56,18 +57,103 @@ Object.assign(trackParserDialog, {
 
   parse: function () {
     var medium = this.medium;
-    var toBeParsed = this.toBeParsed();
+    var release = medium.release;
+
+    /*
+     * When adding a disc, the medium isn't part of the release yet, and
+     * any further mediums in the paste are added after it. Otherwise,
+     * medium headers refer to positions on the release.
+     */
+    var isAddingDisc = !release.mediums.peek().includes(medium);
+    var newMediums = [];
+
+    var parts = [];
+    var targets = [];
+
+    function getTarget(part, index) {
+      if (isAddingDisc
+        ? index === 0
+        : (part.position === null ||
+           part.position === medium.position.peek())) {
+        return medium;
+      }
+
+      const existingMedium = isAddingDisc ? null : release.mediums.peek()
+        .find(x => x.position.peek() === part.position);
+
+      if (existingMedium) {
+        return existingMedium;
+      }
 
-    var newTracks = trackParser.parse(toBeParsed, medium);
-    var error = !isBlank(toBeParsed) && newTracks.length === 0;
+      const newMedium = new fields.Medium({position: part.position}, release);
+      newMediums.push(newMedium);
+      return newMedium;
+    }
+
+    /*
+     * Parts for the same medium (e.g. tracks before the first header and
+     * under the header of the current medium) are parsed together, rather
+     * than the later part replacing the tracks of the earlier one.
+     */
+    var splitParts = trackParser.splitMediums(this.toBeParsed());
+
+    splitParts.forEach(function (part, index) {
+      const target = getTarget(part, index);
+      const targetIndex = targets.indexOf(target);
+
+      if (targetIndex < 0) {
+        parts.push(part);
+        targets.push(target);
+        return;
+      }
+
+      const targetPart = parts[targetIndex];
+      targetPart.text += '\n' + part.text;
+      targetPart.name = targetPart.name || part.name;
+      targetPart.isVinyl = targetPart.isVinyl || part.isVinyl;
+    });
+
+    // Tracks of unloaded mediums would be overwritten without being seen.
+    var error = targets.some(x => !x.loaded.peek());
+
+    var newTracks = error ? [] : parts.map(function (part, index) {
+      return trackParser.parse(part.text, targets[index]);
+    });
+
+    error = error || parts.some(function (part, index) {
+      return !isBlank(part.text) && newTracks[index].length === 0;
+    });
 
     this.error(error);
-    !error && medium.tracks(newTracks);
+    this.newMediums = error ? [] : newMediums;
+
+    if (error) {
+      return;
+    }
+
+    parts.forEach(function (part, index) {
+      const target = targets[index];
+
+      target.tracks(newTracks[index]);
+
+      if (part.name && !target.name.peek()) {
+        target.name(part.name);
+      }
+
+      if (part.isVinyl && !target.formatID.peek()) {
+        target.formatID(MEDIUM_FORMAT_VINYL_ID);
+      }
+    });
+
+    if (!isAddingDisc && newMediums.length) {
+      release.mediums.push(...newMediums);
+      release.mediums.sort((a, b) => a.position() - b.position());
+    }
   },
 
   addDisc: function () {
     this.parse();
-    return this.error() ? null : this.medium;
+    return this.error() ? null : [this.medium].concat(this.newMediums);
   },
 });
 
@@ -338,33 +424,16 @@ Object.assign(addDiscDialog, {
   },
 
   addDisc: function () {
-    var medium = this.currentTab().addDisc();
-    if (!medium) {
+    // The track parser tab may return several mediums.
+    var mediums = this.currentTab().addDisc();
+    if (!mediums) {
       return;
     }
 
     var release = releaseEditor.rootField.release();
 
-    // If there's only one empty disc, replace it.
-    if (release.hasOneEmptyMedium()) {
-      medium.position(1);
-
-      // Keep the existing formatID if there's not a new one.
-      if (!medium.formatID()) {
-        medium.formatID(release.mediums()[0].formatID());
-      }
-
-      release.mediums([medium]);
-    } else {
-      // If there are no mediums, Math.max will return -Infinity.
-      const maxPosition = Math.max(
-        ...release.mediums().map(x => x.position()),
-      );
-      const nextPosition = Number.isFinite(maxPosition)
-        ? (maxPosition + 1)
-        : 1;
-      medium.position(nextPosition);
-      release.mediums.push(medium);
+    for (const medium of [].concat(mediums)) {
+      release.addMedium(medium);
     }
 
     this.close();
@@ -0,0 +1,340 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import ko from 'knockout';
+
+import {hex_sha1 as hexSha1} from '../../lib/sha1/sha1';
+import {keyBy} from '../common/utility/arrays';
+import {
+  hasSessionStorage,
+  localStorage,
+  removeLocalStorage,
+} from '../common/utility/storage';
+
+import releaseEditor from './viewModel';
+
+const DRAFT_INDEX_KEY = 'releaseEditorDrafts';
+const DRAFT_KEY_PREFIX = 'releaseEditorDraft.';
+const PAGE_ID_KEY = 'releaseEditorPageID';
+
+// How often the page state is saved, in milliseconds.
+const DRAFT_SAVE_INTERVAL = 15 * 1000;
+
+Object.assign(releaseEditor, {
+  draftKey: null,
+  availableDraft: ko.observable(null),
+  savedDrafts: ko.observableArray([]),
+  savedDraftsVisible: ko.observable(false),
+});
+
+function readDraftIndex() {
+  try {
+    return JSON.parse(localStorage(DRAFT_INDEX_KEY) || '[]');
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeDraftIndex(index) {
+  localStorage(DRAFT_INDEX_KEY, JSON.stringify(index));
+  releaseEditor.savedDrafts(index);
+}
+
+function entityData(entity) {
+  if (!entity) {
+    return null;
+  }
+  return {
+    comment: entity.comment,
+    gid: entity.gid,
+    id: entity.id,
+    name: entity.name,
+  };
+}
+
+function trackData(track) {
+  const data = {
+    artistCredit: track.artistCredit.peek(),
+    isDataTrack: track.isDataTrack.peek(),
+    isrcs: track.isrcs,
+    length: track.length.peek(),
+    name: track.name.peek(),
+    number: track.number.peek(),
+    position: track.position.peek(),
+  };
+
+  if (track.id) {
+    data.id = track.id;
+    data.gid = track.gid;
+  }
+
+  if (track.hasExistingRecording()) {
+    const recording = track.recording.peek();
+    data.recording = {
+      ...entityData(recording),
+      artistCredit: recording.artistCredit,
+      length: recording.length,
+      video: recording.video,
+    };
+  }
+
+  return data;
+}
+
+function mediumData(medium) {
+  const data = {
+    format_id: medium.formatID.peek(),
+    name: medium.name.peek(),
+    position: medium.position.peek(),
+    toc: medium.toc.peek(),
+  };
+
+  if (medium.id) {
+    data.id = medium.id;
+  }
+
+  // Tracks of unloaded mediums are left to be loaded again.
+  if (medium.loaded.peek()) {
+    data.tracks = medium.tracks.peek().map(trackData);
+  }
+
+  return data;
+}
+
+/*
+ * Returns the state of the release editor in the same format that
+ * `seedRelease` accepts, so that restoring a draft is just seeding it.
+ */
+releaseEditor.draftData = function (release) {
+  const root = this.rootField;
+  const releaseGroup = release.releaseGroup.peek();
+  const barcode = release.barcode;
+
+  return {
+    annotation: release.annotation.peek(),
+    artistCredit: release.artistCredit.peek(),
+    barcode: barcode.none.peek() ? 'none' : barcode.value.peek(),
+    comment: release.comment.peek(),
+    editNote: root.editNote.peek(),
+    events: release.events.peek().map(event => ({
+      country: event.countryID.peek() ? {id: event.countryID.peek()} : null,
+      date: event.unwrapDate(),
+    })),
+    labels: release.labels.peek().map(releaseLabel => ({
+      catalogNumber: releaseLabel.catalogNumber.peek(),
+      id: releaseLabel.id,
+      label: entityData(releaseLabel.label.peek()),
+    })),
+    languageID: release.languageID.peek(),
+    links: this.externalLinks ? this.externalLinks.state.links : null,
+    makeVotable: root.makeVotable.peek(),
+    mediums: release.mediums.peek().map(mediumData),
+    name: release.name.peek(),
+    packagingID: release.packagingID.peek(),
+    releaseGroup: {
+      ...entityData(releaseGroup),
+      artistCredit: releaseGroup.artistCredit,
+      secondaryTypeIDs: releaseGroup.secondaryTypeIDs.peek(),
+      typeID: releaseGroup.typeID.peek(),
+    },
+    scriptID: release.scriptID.peek(),
+    statusID: release.statusID.peek(),
+  };
+};
+
+releaseEditor.saveDraft = function () {
+  const root = this.rootField;
+  const release = root.release.peek();
+
+  /*
+   * Don't overwrite an older draft before the user has decided whether
+   * to restore it.
+   */
+  if (!this.draftKey || !release || root.redirecting ||
+      this.availableDraft.peek()) {
+    return;
+  }
+
+  if (!this.allEdits.peek().length && !root.editNote.peek()) {
+    return;
+  }
+
+  const entry = {
+    action: this.action,
+    key: this.draftKey,
+    name: release.name.peek() || '',
+    savedAt: new Date().toISOString(),
+    /*
+     * New releases have no URL of their own, so the draft is requested
+     * by its key instead.
+     */
+    url: this.action === 'add'
+      ? '/release/add?draft=' + encodeURIComponent(this.draftKey)
+      : window.location.pathname + window.location.search,
+  };
+
+  localStorage(
+    DRAFT_KEY_PREFIX + this.draftKey,
+    JSON.stringify(this.draftData(release)),
+  );
+
+  writeDraftIndex(
+    readDraftIndex().filter(x => x.key !== entry.key).concat(entry),
+  );
+};
+
+releaseEditor.loadDraft = function (key) {
+  try {
+    return JSON.parse(localStorage(DRAFT_KEY_PREFIX + key) || 'null');
+  } catch (e) {
+    return null;
+  }
+};
+
+releaseEditor.discardDraft = function (key) {
+  removeLocalStorage(DRAFT_KEY_PREFIX + key);
+  writeDraftIndex(readDraftIndex().filter(x => x.key !== key));
+
+  const availableDraft = this.availableDraft.peek();
+  if (availableDraft && availableDraft.key === key) {
+    this.availableDraft(null);
+  }
+};
+
+releaseEditor.discardAvailableDraft = function () {
+  this.discardDraft(this.availableDraft.peek().key);
+};
+
+releaseEditor.discardSavedDraft = function (entry) {
+  this.discardDraft(entry.key);
+};
+
+releaseEditor.toggleSavedDrafts = function () {
+  this.savedDraftsVisible(!this.savedDraftsVisible.peek());
+};
+
+releaseEditor.formatDraftDate = function (entry) {
+  return new Date(entry.savedAt).toLocaleString();
+};
+
+releaseEditor.restoreDraft = function () {
+  const draft = this.availableDraft.peek();
+  const data = draft.data;
+  const release = this.rootField.release.peek();
+  const existingMediums = keyBy(
+    release.existingMediumData(),
+    x => String(x.id),
+  );
+
+  this.seedRelease(release, data);
+
+  /*
+   * Restored mediums would otherwise treat their draft state as the
+   * original, and no edits would be created for them.
+   */
+  for (const medium of release.mediums.peek()) {
+    const existingMedium = medium.id ? existingMediums[medium.id] : null;
+    if (existingMedium) {
+      restoreMediumOriginal(medium, existingMedium);
+    }
+  }
+
+  this.rootField.editNote(data.editNote || '');
+  this.rootField.makeVotable(!!data.makeVotable);
+
+  if (data.links && this.externalLinks) {
+    this.externalLinks.setState({links: data.links});
+  }
+
+  this.availableDraft(null);
+};
+
+function restoreMediumOriginal(medium, existingMedium) {
+  if (existingMedium.loaded.peek()) {
+    medium.original(existingMedium.original.peek());
+    return;
+  }
+
+  // The original tracklist is only known once the medium is loaded.
+  const subscription = existingMedium.loaded.subscribe(function () {
+    subscription.dispose();
+    medium.original(existingMedium.original.peek());
+  });
+  existingMedium.loadTracks();
+}
+
+/*
+ * Returns an ID for the current tab, kept in sessionStorage so that it
+ * survives reloads.
+ */
+function getPageID() {
+  let pageID = null;
+
+  if (hasSessionStorage) {
+    try {
+      pageID = window.sessionStorage.getItem(PAGE_ID_KEY);
+    } catch (e) {
+      // NOP
+    }
+  }
+
+  if (!pageID) {
+    pageID = Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+    if (hasSessionStorage) {
+      try {
+        window.sessionStorage.setItem(PAGE_ID_KEY, pageID);
+      } catch (e) {
+        // NOP
+      }
+    }
+  }
+
+  return pageID;
+}
+
+releaseEditor.getDraftKey = function (
+  options,
+  search = window.location.search,
+) {
+  if (this.action === 'edit') {
+    return 'edit.' + options.release.gid;
+  }
+
+  // Drafts of new releases are opened from the list of saved drafts.
+  const requestedKey = new URLSearchParams(search).get('draft');
+  if (requestedKey && requestedKey.startsWith('add.')) {
+    return requestedKey;
+  }
+
+  const seed = options.seed && options.seed.seed;
+  if (seed && Object.keys(seed).length) {
+    return 'add.' + hexSha1(JSON.stringify(options.seed));
+  }
+
+  /*
+   * Unseeded releases being added in different tabs would otherwise share
+   * a draft, overwriting each other's.
+   */
+  return 'add.' + getPageID();
+};
+
+releaseEditor.initDrafts = function (options) {
+  this.draftKey = this.getDraftKey(options);
+  this.savedDrafts(readDraftIndex());
+
+  const data = this.loadDraft(this.draftKey);
+  if (data) {
+    const entry = this.savedDrafts.peek().find(x => x.key === this.draftKey);
+    this.availableDraft({key: this.draftKey, ...entry, data: data});
+  }
+
+  setInterval(() => this.saveDraft(), DRAFT_SAVE_INTERVAL);
+};
+
+export default releaseEditor;
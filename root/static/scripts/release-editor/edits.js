@@ -519,9 +519,30 @@ releaseEditor.getEditPreviews = function () {
 releaseEditor.submissionInProgress = ko.observable(false);
 releaseEditor.submissionError = ko.observable();
 
+/*
+ * The state of each of the orderedEditSubmissions, kept across attempts
+ * so that edits which have already gone in aren't entered again.
+ */
+releaseEditor.submissionStates = ko.observableArray([]);
+
+releaseEditor.submissionFailed = ko.computed(function () {
+  return releaseEditor.submissionStates().some(x => x.status() === 'failed');
+});
+
+function submissionState(submission) {
+  return {
+    editIDs: ko.observableArray([]),
+    name: submission.name,
+    status: ko.observable('pending'),
+    // JSON of the edits already entered from this batch.
+    submitted: [],
+  };
+}
+
 
 function chainEditSubmissions(release, submissions) {
   var root = releaseEditor.rootField;
+  var states = releaseEditor.submissionStates.peek();
 
   var args = {
     makeVotable: root.makeVotable(),
@@ -529,7 +550,7 @@ function chainEditSubmissions(release, submissions) {
   };
 
   function nextSubmission(index) {
-    var current = submissions[index++];
+    var current = submissions[index];
 
     if (!current) {
       // We're done!
@@ -537,6 +558,11 @@ function chainEditSubmissions(release, submissions) {
       // Don't ask for confirmation before redirecting.
       root.redirecting = true;
 
+      // Everything in the draft has been submitted.
+      if (releaseEditor.draftKey) {
+        releaseEditor.discardDraft(releaseEditor.draftKey);
+      }
+
       if (releaseEditor.redirectURI) {
         var a = document.createElement('a');
         a.href = releaseEditor.redirectURI;
@@ -551,29 +577,53 @@ function chainEditSubmissions(release, submissions) {
       return;
     }
 
-    const edits = current.edits(release);
-    let submitted = null;
+    const state = states[index];
+    let edits = current.edits(release);
 
-    if (edits.length) {
-      submitted = MB.edit.create($.extend({ edits: edits }, args));
+    /*
+     * A batch that went in on an earlier attempt is computed again, so that
+     * anything changed since is still entered, but the edits it already
+     * entered are left out.
+     */
+    if (state.status.peek() === 'done') {
+      edits = edits.filter(x => !state.submitted.includes(JSON.stringify(x)));
     }
 
     const submissionDone = function (data) {
-      if (data && current.callback) {
-        current.callback(
-          release,
-          data.edits.filter(
-            x => x.response === WS_EDIT_RESPONSE_OK,
-          ),
+      if (data) {
+        const addedEdits = data.edits.filter(
+          x => x.response === WS_EDIT_RESPONSE_OK,
         );
+
+        state.editIDs.push(...compactMap(addedEdits, x => x.edit_id));
+        state.submitted.push(...edits.map(x => JSON.stringify(x)));
+
+        if (current.callback) {
+          current.callback(release, addedEdits);
+        }
       }
 
-      setTimeout(() => nextSubmission(index), 1);
+      state.status('done');
+      setTimeout(() => nextSubmission(index + 1), 1);
     };
 
-    $.when(submitted)
-      .done(submissionDone)
-      .fail(submissionErrorOccurred);
+    if (edits.length) {
+      /*
+       * Failed requests aren't retried automatically: creating edits isn't
+       * idempotent, so a request which timed out may still have gone in.
+       * The user can check and retry the remaining edits themselves.
+       */
+      state.status('submitting');
+
+      MB.edit.create($.extend({ edits: edits }, args))
+        .done(submissionDone)
+        .fail(function (data) {
+          state.status('failed');
+          submissionErrorOccurred(data);
+        });
+    } else {
+      submissionDone(null);
+    }
   }
   nextSubmission(0);
 }
@@ -603,6 +653,7 @@ function submissionErrorOccurred(data) {
 
 releaseEditor.orderedEditSubmissions = [
   {
+    name: N_l('Release group'),
     edits: releaseEditor.edits.releaseGroup,
 
     callback: function (release, edits) {
@@ -616,6 +667,7 @@ releaseEditor.orderedEditSubmissions = [
     },
   },
   {
+    name: N_l('Release'),
     edits: releaseEditor.edits.release,
 
     callback: function (release, edits) {
@@ -629,6 +681,7 @@ releaseEditor.orderedEditSubmissions = [
     },
   },
   {
+    name: N_l('Release labels'),
     edits: releaseEditor.edits.releaseLabel,
 
     callback: function (release, edits) {
@@ -652,6 +705,7 @@ releaseEditor.orderedEditSubmissions = [
     },
   },
   {
+    name: N_l('Mediums'),
     edits: releaseEditor.edits.medium,
 
     callback: function (release, edits) {
@@ -686,9 +740,11 @@ releaseEditor.orderedEditSubmissions = [
     },
   },
   {
+    name: N_l('Medium order'),
     edits: releaseEditor.edits.mediumReorder,
   },
   {
+    name: N_l('Disc IDs'),
     edits: releaseEditor.edits.discID,
 
     callback: function (release) {
@@ -696,6 +752,7 @@ releaseEditor.orderedEditSubmissions = [
     },
   },
   {
+    name: N_l('Annotation'),
     edits: releaseEditor.edits.annotation,
 
     callback: function (release) {
@@ -703,6 +760,7 @@ releaseEditor.orderedEditSubmissions = [
     },
   },
   {
+    name: N_l('External links'),
     edits: releaseEditor.edits.externalLinks,
   },
 ];
@@ -713,10 +771,24 @@ releaseEditor.submitEdits = function () {
     return;
   }
 
+  const submissions = releaseEditor.orderedEditSubmissions;
+  let states = releaseEditor.submissionStates.peek();
+
+  if (!states.length) {
+    states = submissions.map(submissionState);
+    releaseEditor.submissionStates(states);
+  }
+
+  /*
+   * After a failure, start again from the first batch. The callbacks of
+   * the ones which went in have already updated the original data, so
+   * the release and mediums they added aren't created again.
+   */
+  releaseEditor.submissionError(null);
   releaseEditor.submissionInProgress(true);
   var release = releaseEditor.rootField.release();
 
-  chainEditSubmissions(release, releaseEditor.orderedEditSubmissions);
+  chainEditSubmissions(release, submissions);
 };
 
 export default releaseEditor.edits;
@@ -30,6 +30,7 @@ import * as validation from '../edit/validation';
 
 import 'knockout-arraytransforms';
 
+import history from './history';
 import recordingAssociation from './recordingAssociation';
 import utils from './utils';
 import releaseEditor from './viewModel';
@@ -38,6 +39,12 @@ const fields = {};
 
 releaseEditor.fields = fields;
 
+function restoreArtistCreditEditor(entity) {
+  return function (artistCredit) {
+    entity.artistCreditEditorInst?.setState({artistCredit});
+  };
+}
+
 class Track {
 
   constructor(data, medium) {
@@ -76,6 +83,8 @@ class Track {
     this.position = ko.observable(data.position);
     this.number = ko.observable(data.number);
     this.isDataTrack = ko.observable(!!data.isDataTrack);
+    // Seeded ISRCs, used to look up existing recordings.
+    this.isrcs = data.isrcs || [];
     this.hasNewRecording = ko.observable(true);
 
     this.updateRecordingTitle = ko.observable(
@@ -109,6 +118,8 @@ class Track {
 
     this.recording.original = ko.observable();
     this.suggestedRecordings = ko.observableArray([]);
+    // Why each suggested recording matched, keyed by recording gid.
+    this.recordingMatches = ko.observable({});
     this.loadingSuggestedRecordings = ko.observable(false);
 
     var recordingData = data.recording;
@@ -123,6 +134,15 @@ class Track {
 
     recordingAssociation.track(this);
 
+    history.trackFields(this, [
+      'name',
+      'number',
+      'position',
+      'formattedLength',
+      'isDataTrack',
+    ]);
+    history.track(this.artistCredit, restoreArtistCreditEditor(this));
+
     this.uniqueID = this.id || uniqueId('new-');
     this.elementID = 'track-row-' + this.uniqueID;
 
@@ -488,6 +508,8 @@ class Medium {
     this.original = ko.observable(this.id ? mbEdit.fields.medium(this) : {});
     this.uniqueID = this.id || uniqueId('new-');
 
+    history.trackFields(this, ['name', 'position', 'formatID', 'tracks']);
+
     this.needsTracks = ko.computed(function () {
       return self.loaded() &&
              self.tracks().length === 0 &&
@@ -671,7 +693,8 @@ class Medium {
         delete copy.id;
         return new Track(copy, parent);
       };
-    this.tracks(utils.mapChild(this, data.tracks, pp));
+    // Loading tracks isn't something the user can undo.
+    history.ignore(() => this.tracks(utils.mapChild(this, data.tracks, pp)));
 
     if (this.release.seededTocs) {
       var toc = this.release.seededTocs[this.position()];
@@ -768,6 +791,9 @@ class ReleaseEvent {
     this.release = release;
     this.isDuplicate = ko.observable(false);
 
+    history.trackFields(this.date, ['year', 'month', 'day']);
+    history.track(this.countryID);
+
     var self = this;
 
     this.hasInvalidDate = ko.computed(function () {
@@ -814,6 +840,8 @@ class ReleaseLabel {
     this.release = release;
     this.isDuplicate = ko.observable(false);
 
+    history.trackFields(this, ['label', 'catalogNumber']);
+
     var self = this;
 
     this.needsLabel = ko.computed(function () {
@@ -1057,6 +1085,22 @@ class Release extends mbEntity.Release {
       this.mediums.any('hasInvalidPregapLength'),
     );
 
+    history.trackFields(this, [
+      'name',
+      'comment',
+      'statusID',
+      'languageID',
+      'scriptID',
+      'packagingID',
+      'annotation',
+      'events',
+      'labels',
+      'mediums',
+      'releaseGroup',
+    ]);
+    history.track(this.barcode.barcode);
+    history.track(this.artistCredit, restoreArtistCreditEditor(this));
+
     // Ensure there's at least one event, label, and medium to edit.
 
     if (!this.events().length) {
@@ -1082,11 +1126,37 @@ class Release extends mbEntity.Release {
 
   hasOneEmptyMedium() {
     var mediums = this.mediums();
+    // The tracks of an unloaded medium aren't known to be empty.
     return mediums.length === 1 &&
+           mediums[0].loaded() &&
            !mediums[0].hasTracks() &&
            !mediums[0].tracksUnknownToUser();
   }
 
+  addMedium(medium) {
+    // If there's only one empty disc, replace it.
+    if (this.hasOneEmptyMedium()) {
+      medium.position(1);
+
+      // Keep the existing formatID if there's not a new one.
+      if (!medium.formatID()) {
+        medium.formatID(this.mediums()[0].formatID());
+      }
+
+      this.mediums([medium]);
+    } else {
+      // If there are no mediums, Math.max will return -Infinity.
+      const maxPosition = Math.max(
+        ...this.mediums().map(x => x.position()),
+      );
+      const nextPosition = Number.isFinite(maxPosition)
+        ? (maxPosition + 1)
+        : 1;
+      medium.position(nextPosition);
+      this.mediums.push(medium);
+    }
+  }
+
   tracksWithUnsetPreviousRecordings() {
     return this.mediums().reduce(function (result, medium) {
       for (const track of medium.tracks()) {
@@ -0,0 +1,198 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import ko from 'knockout';
+
+import MB from '../common/MB';
+import {hasSessionStorage} from '../common/utility/storage';
+import editDiff, {CHANGE, DELETE, INSERT} from '../edit/utility/editDiff';
+import {applyExceptions} from '../guess-case/exceptions';
+
+import releaseEditor from './viewModel';
+
+const EXCEPTIONS_KEY = 'guessCaseExceptions';
+
+// Words are separated by spaces and punctuation that guess case keeps.
+const WORD_SEPARATOR = /([\s()[\]{}"“”,:;!?/]+)/;
+
+function loadExceptions() {
+  if (hasSessionStorage) {
+    const exceptions = window.sessionStorage.getItem(EXCEPTIONS_KEY);
+    if (exceptions) {
+      try {
+        const parsed = JSON.parse(exceptions);
+        if (Array.isArray(parsed)) {
+          return parsed.filter(x => typeof x === 'string');
+        }
+      } catch (e) {
+        // Ignore corrupted values.
+      }
+    }
+  }
+  return [];
+}
+
+/*
+ * Splits the old and new names into parts for a side-by-side diff. Words
+ * changed on the old side are marked, so they can be kept as exceptions.
+ */
+export function diffWords(oldName, newName) {
+  const oldParts = [];
+  const newParts = [];
+
+  for (const diff of editDiff(
+    oldName.split(WORD_SEPARATOR),
+    newName.split(WORD_SEPARATOR),
+  )) {
+    const changed = diff.type === CHANGE ||
+      diff.type === DELETE ||
+      diff.type === INSERT;
+
+    for (const text of diff.oldItems) {
+      oldParts.push({
+        changed: changed,
+        isWord: changed && !WORD_SEPARATOR.test(text),
+        text: text,
+      });
+    }
+    for (const text of diff.newItems) {
+      newParts.push({changed: changed, text: text});
+    }
+  }
+
+  return {newParts, oldParts};
+}
+
+class GuessCaseChange {
+  constructor(label, field, newName) {
+    const oldName = field.peek();
+
+    this.label = label;
+    this.field = field;
+    this.oldName = oldName;
+    this.newName = newName;
+    this.accepted = ko.observable(true);
+
+    const {newParts, oldParts} = diffWords(oldName, newName);
+    this.newParts = newParts;
+    this.oldParts = oldParts;
+  }
+}
+
+const guessCaseAll = releaseEditor.guessCaseAll = {
+  visible: ko.observable(false),
+  changes: ko.observableArray([]),
+  exceptions: ko.observableArray(loadExceptions()),
+
+  toggle: function () {
+    const visible = !guessCaseAll.visible.peek();
+    if (visible) {
+      guessCaseAll.preview();
+    }
+    guessCaseAll.visible(visible);
+  },
+
+  // Finds the titles guess case would change on the release.
+  preview: function () {
+    const release = releaseEditor.rootField.release.peek();
+    const exceptions = guessCaseAll.exceptions.peek();
+    const changes = [];
+
+    function addChange(label, field, handler) {
+      const name = field.peek();
+      if (!name) {
+        return;
+      }
+      const newName = applyExceptions(handler.guess(name), exceptions);
+      if (newName !== name) {
+        changes.push(new GuessCaseChange(label, field, newName));
+      }
+    }
+
+    if (release) {
+      addChange(l('Release title'), release.name, MB.GuessCase.release);
+
+      for (const medium of release.mediums.peek()) {
+        const position = medium.position.peek();
+
+        addChange(
+          texp.l('Medium {position} title', {position}),
+          medium.name,
+          MB.GuessCase.release,
+        );
+
+        if (medium.loaded.peek()) {
+          for (const track of medium.tracks.peek()) {
+            addChange(
+              position + '.' + track.number.peek(),
+              track.name,
+              MB.GuessCase.track,
+            );
+          }
+        }
+      }
+    }
+
+    guessCaseAll.changes(changes);
+  },
+
+  setAllAccepted: function (accepted) {
+    for (const change of guessCaseAll.changes.peek()) {
+      change.accepted(accepted);
+    }
+  },
+
+  acceptAll: function () {
+    guessCaseAll.setAllAccepted(true);
+  },
+
+  rejectAll: function () {
+    guessCaseAll.setAllAccepted(false);
+  },
+
+  // Keeps the original spelling of a word for the rest of the session.
+  keepWord: function (part) {
+    const word = part.text;
+    const exceptions = guessCaseAll.exceptions.peek()
+      .filter(x => x.toLowerCase() !== word.toLowerCase());
+    exceptions.push(word);
+    guessCaseAll.setExceptions(exceptions);
+  },
+
+  removeException: function (word) {
+    guessCaseAll.setExceptions(
+      guessCaseAll.exceptions.peek().filter(x => x !== word),
+    );
+  },
+
+  setExceptions: function (exceptions) {
+    guessCaseAll.exceptions(exceptions);
+    if (hasSessionStorage) {
+      window.sessionStorage.setItem(
+        EXCEPTIONS_KEY,
+        JSON.stringify(exceptions),
+      );
+    }
+    guessCaseAll.preview();
+  },
+
+  apply: function () {
+    for (const change of guessCaseAll.changes.peek()) {
+      if (change.accepted.peek()) {
+        change.field(change.newName);
+      }
+    }
+    guessCaseAll.preview();
+  },
+};
+
+guessCaseAll.acceptedCount = ko.computed(function () {
+  return guessCaseAll.changes().filter(change => change.accepted()).length;
+});
+
+export default guessCaseAll;
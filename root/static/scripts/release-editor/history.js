@@ -0,0 +1,194 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import $ from 'jquery';
+import ko from 'knockout';
+
+import releaseEditor from './viewModel';
+
+// Maximum number of changes that can be undone.
+const MAX_HISTORY_LENGTH = 100;
+
+function copyValue(value) {
+  return Array.isArray(value) ? value.slice() : value;
+}
+
+function sameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((x, i) => x === b[i]);
+  }
+  return a === b;
+}
+
+/*
+ * Changes made to tracked observables within the same tick (a single
+ * input change, a track parser run, a medium move, etc.) are grouped
+ * into one history entry, which records the values they had before.
+ */
+const history = releaseEditor.history = {
+
+  enabled: false,
+  applying: false,
+  ignoring: 0,
+  pendingChanges: null,
+
+  undoStack: ko.observableArray([]),
+  redoStack: ko.observableArray([]),
+
+  track: function (observable, onRestore) {
+    observable.subscribe(function (oldValue) {
+      history.recordChange(observable, oldValue, onRestore);
+    }, null, 'beforeChange');
+  },
+
+  trackFields: function (object, names) {
+    for (const name of names) {
+      this.track(object[name]);
+    }
+  },
+
+  recordChange: function (observable, oldValue, onRestore) {
+    if (!this.enabled || this.applying || this.ignoring ||
+        releaseEditor.submissionInProgress?.peek()) {
+      return;
+    }
+
+    if (!this.pendingChanges) {
+      this.pendingChanges = new Map();
+      setTimeout(() => this.flush(), 1);
+    }
+
+    if (!this.pendingChanges.has(observable)) {
+      this.pendingChanges.set(observable, {
+        observable: observable,
+        onRestore: onRestore,
+        value: copyValue(oldValue),
+      });
+    }
+  },
+
+  flush: function () {
+    const changes = this.pendingChanges;
+    this.pendingChanges = null;
+
+    if (!changes) {
+      return;
+    }
+
+    const entry = Array.from(changes.values())
+      .filter(change => !sameValue(change.value, change.observable.peek()));
+
+    if (entry.length) {
+      this.undoStack.push(entry);
+      if (this.undoStack.peek().length > MAX_HISTORY_LENGTH) {
+        this.undoStack.shift();
+      }
+      this.redoStack([]);
+    }
+  },
+
+  // Restores an entry, returning the entry that reverses it.
+  apply: function (entry) {
+    this.applying = true;
+    try {
+      return entry.slice(0).reverse().map(function (change) {
+        const observable = change.observable;
+        const inverse = {...change, value: copyValue(observable.peek())};
+
+        observable(copyValue(change.value));
+        if (change.onRestore) {
+          change.onRestore(change.value);
+        }
+
+        return inverse;
+      });
+    } finally {
+      this.applying = false;
+    }
+  },
+
+  undo: function () {
+    this.flush();
+
+    const entry = this.undoStack.pop();
+    if (entry) {
+      this.redoStack.push(this.apply(entry));
+    }
+  },
+
+  redo: function () {
+    this.flush();
+
+    const entry = this.redoStack.pop();
+    if (entry) {
+      this.undoStack.push(this.apply(entry));
+    }
+  },
+
+  canUndo: function () {
+    return history.undoStack().length > 0;
+  },
+
+  canRedo: function () {
+    return history.redoStack().length > 0;
+  },
+
+  // Runs callback without recording any of the changes it makes.
+  ignore: function (callback) {
+    this.ignoring++;
+    try {
+      return callback();
+    } finally {
+      this.ignoring--;
+    }
+  },
+
+  clear: function () {
+    this.pendingChanges = null;
+    this.undoStack([]);
+    this.redoStack([]);
+  },
+};
+
+releaseEditor.undo = function () {
+  history.undo();
+};
+
+releaseEditor.redo = function () {
+  history.redo();
+};
+
+releaseEditor.initHistory = function () {
+  history.enabled = true;
+
+  $(document).on('keydown', '#release-editor', function (event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+      return;
+    }
+
+    const isUndo = event.which === 90 && !event.shiftKey; // Ctrl+Z
+    const isRedo = (event.which === 90 && event.shiftKey) || // Ctrl+Shift+Z
+      event.which === 89; // Ctrl+Y
+
+    // Leave multi-line text (edit notes, annotations) to the browser.
+    if (!(isUndo || isRedo) || $(event.target).is('textarea')) {
+      return;
+    }
+
+    /*
+     * Commit whatever was typed into the focused input first, so that
+     * undoing it works like the browser's own undo.
+     */
+    $(event.target).filter(':input').change();
+
+    event.preventDefault();
+    isUndo ? history.undo() : history.redo();
+  });
+};
+
+export default history;
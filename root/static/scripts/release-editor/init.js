@@ -292,6 +292,9 @@ releaseEditor.init = function (options) {
     );
   }
 
+  this.initDrafts(options);
+  this.initHistory();
+
   this.getEditPreviews();
 
   // Apply root bindings to the page.
@@ -16,6 +16,9 @@ import {
 import MB from '../common/MB';
 import {uniqBy} from '../common/utility/arrays';
 import {debounceComputed} from '../common/utility/debounce';
+import formatTrackLength from '../common/utility/formatTrackLength';
+import getCookie from '../common/utility/getCookie';
+import setCookie from '../common/utility/setCookie';
 import similarity from '../edit/utility/similarity';
 
 import releaseEditor from './viewModel';
@@ -30,7 +33,9 @@ releaseEditor.recordingAssociation = recordingAssociation;
  * in the release editor.
  *
  * Levenshtein is used to compare track & recording titles, and track
- * lengths are checked to be within 10s of recording lengths.
+ * lengths are checked to be within a tolerance (10.5s by default) of
+ * recording lengths. Both the tolerance and the minimum similarity can
+ * be changed by the user, and are saved in cookies.
  *
  * Recordings from the same release group are preferred. Since there are
  * usually less than 50 recordings in a release group, we request and cache
@@ -41,11 +46,56 @@ releaseEditor.recordingAssociation = recordingAssociation;
  * Direct database search is terrible at matching titles (a single
  * apostrophe changes the entire set of results), so indexed search is
  * used.
+ *
+ * Tracks seeded with ISRCs are looked up by ISRC first. Recordings found
+ * that way are suggested before any others, whatever their title.
  */
 
 const releaseGroupRecordings = ko.observable();
 const etiRegex = /(\([^)]+\) ?)*$/;
 
+const DEFAULT_LENGTH_TOLERANCE = MAX_LENGTH_DIFFERENCE / 1000;
+const DEFAULT_MIN_SIMILARITY = 85;
+
+function optionCookie(name, defaultValue) {
+  const observable = ko.observable(
+    parseFloat(getCookie(name, String(defaultValue))),
+  );
+
+  observable.subscribe(function (newValue) {
+    setCookie(name, newValue);
+  });
+
+  return ko.computed({
+    read: function () {
+      const value = parseFloat(observable());
+      return (Number.isFinite(value) && value >= 0) ? value : defaultValue;
+    },
+    write: observable,
+  });
+}
+
+recordingAssociation.options = {
+  // In seconds.
+  lengthTolerance: optionCookie(
+    'recordingassoc_lengthtolerance',
+    DEFAULT_LENGTH_TOLERANCE,
+  ),
+  // As a percentage.
+  minSimilarity: optionCookie(
+    'recordingassoc_minsimilarity',
+    DEFAULT_MIN_SIMILARITY,
+  ),
+};
+
+function lengthTolerance() {
+  return recordingAssociation.options.lengthTolerance() * 1000;
+}
+
+function minSimilarity() {
+  return Math.min(recordingAssociation.options.minSimilarity(), 100) / 100;
+}
+
 
 recordingAssociation.getReleaseGroupRecordings = function (
   releaseGroup,
@@ -105,8 +155,8 @@ function recordingQuery(track, name) {
   var duration = parseInt(track.length(), 10);
 
   if (duration) {
-    var a = duration - MAX_LENGTH_DIFFERENCE;
-    var b = duration + MAX_LENGTH_DIFFERENCE;
+    var a = duration - lengthTolerance();
+    var b = duration + lengthTolerance();
 
     const durationCondition =
       utils.constructLuceneField([`[${a} TO ${b}]`], 'dur');
@@ -184,11 +234,11 @@ function searchTrackArtistRecordings(track) {
 
   track._recordingRequest = utils.search('recording', query)
     .done(function (data) {
-      var recordings = matchAgainstRecordings(
+      var matches = matchAgainstRecordings(
         track, data.recordings.map(cleanRecordingData),
       );
 
-      setSuggestedRecordings(track, recordings || []);
+      setSuggestedRecordings(track, matches || []);
       track.loadingSuggestedRecordings(false);
     })
     .fail(function (jqXHR, textStatus) {
@@ -278,7 +328,35 @@ function watchTrackForChanges(track) {
 }
 
 
+function searchISRCRecordings(track) {
+  track.loadingSuggestedRecordings(true);
+
+  const query = utils.constructLuceneField(
+    track.isrcs.map(utils.escapeLuceneValue),
+    'isrc',
+  );
+
+  utils.search('recording', query)
+    .done(function (data) {
+      track.isrcRecordings = data.recordings.map(cleanRecordingData);
+    })
+    .fail(function () {
+      // Fall back to searching by name.
+      track.isrcRecordings = [];
+    })
+    .always(function () {
+      track.loadingSuggestedRecordings(false);
+      recordingAssociation.findRecordingSuggestions(track);
+    });
+}
+
+
 recordingAssociation.findRecordingSuggestions = function (track) {
+  if (track.isrcs.length && !track.isrcRecordings) {
+    searchISRCRecordings(track);
+    return;
+  }
+
   const release = releaseEditor.rootField.release();
   const releaseGroup = release ? release.releaseGroup() : null;
   let rgRecordings;
@@ -304,13 +382,20 @@ recordingAssociation.findRecordingSuggestions = function (track) {
     }
   }
 
-  var recordings =
+  var isrcMatches = matchISRCRecordings(track);
+
+  var matches =
     matchAgainstRecordings(track, rgRecordings) ||
     // Or see if it still matches the current suggestion.
     matchAgainstRecordings(track, track.suggestedRecordings());
 
-  if (recordings) {
-    setSuggestedRecordings(track, recordings);
+  if (isrcMatches) {
+    const isrcGIDs = new Set(isrcMatches.map(x => x.recording.gid));
+    setSuggestedRecordings(track, isrcMatches.concat(
+      (matches || []).filter(x => !isrcGIDs.has(x.recording.gid)),
+    ));
+  } else if (matches) {
+    setSuggestedRecordings(track, matches);
   } else {
     // Last resort: search all recordings of all the track's artists.
     searchTrackArtistRecordings(track);
@@ -319,18 +404,22 @@ recordingAssociation.findRecordingSuggestions = function (track) {
 
 
 /*
- * Sets track.suggestedRecordings. If the track currently does not have
- * a recording selected, it shifts the last used recording to the top of
- * the suggestions list (if there is one).
+ * Sets track.suggestedRecordings and track.recordingMatches. If the track
+ * currently does not have a recording selected, it shifts the last used
+ * recording to the top of the suggestions list (if there is one).
  */
 
-function setSuggestedRecordings(track, recordings) {
+function setSuggestedRecordings(track, matches) {
   var lastRecording = track.recording.saved;
+  var recordings = matches.map(x => x.recording);
 
   if (!track.hasExistingRecording() && lastRecording) {
     recordings = [...new Set([lastRecording, ...recordings])];
   }
 
+  track.recordingMatches(
+    Object.fromEntries(matches.map(x => [x.recording.gid, x])),
+  );
   track.suggestedRecordings(recordings);
 }
 
@@ -345,72 +434,171 @@ function weightedScore(parts) {
   return totalScore / totalWeight;
 }
 
-const MIN_RECORDING_SIMILARITY = 0.85;
+function artistGIDs(artistCredit) {
+  return artistCredit
+    ? artistCredit.names.map(x => x.artist?.gid).filter(Boolean)
+    : [];
+}
 
-function matchAgainstRecordings(track, recordings) {
-  if (!recordings || !recordings.length) {
-    return null;
-  }
+/*
+ * Scores how well a recording matches a track. Returns null if it doesn't
+ * match at all, or an object describing each part of the match. Recordings
+ * that share an ISRC with the track always match.
+ */
+export function scoreRecording(
+  track,
+  recording,
+  releaseGroupGIDs,
+  isrcMatch = false,
+) {
+  const parts = [];
 
   const trackLength = track.length();
+  const recordingLength = recording.length;
+  let lengthDifference = null;
+
+  if (trackLength && recordingLength) {
+    lengthDifference = Math.abs(trackLength - recordingLength);
+    if (lengthDifference > lengthTolerance() && !isrcMatch) {
+      return null;
+    }
+    const lengthSimilarity = 1 - (
+      lengthDifference / (trackLength + recordingLength)
+    );
+    parts.push({
+      score: lengthSimilarity,
+      weight: 2,
+    });
+  } else {
+    // Give slight preference to recordings that have a length.
+    parts.push({
+      score: recordingLength ? 1 : 0,
+      weight: 0.1,
+    });
+  }
+
   const trackName = track.name();
+  const recordingWithoutETI = recording.name.replace(etiRegex, '');
+  const nameSimilarity = Math.max(
+    similarity(trackName, recording.name),
+    similarity(trackName, recordingWithoutETI),
+  );
+  parts.push({score: nameSimilarity, weight: 1});
 
-  const matches = recordings
-    .reduce(function (accum, recording) {
-      const parts = [];
+  let score = weightedScore(parts);
+  if (score < minSimilarity() && !isrcMatch) {
+    return null;
+  }
 
-      const recordingLength = recording.length;
-      if (trackLength && recordingLength) {
-        const lengthSimilarity = 1 - (
-          Math.abs(trackLength - recordingLength) /
-                  (trackLength + recordingLength)
-        );
-        parts.push({
-          score: lengthSimilarity,
-          weight: 2,
-        });
-      } else {
-        // Give slight preference to recordings that have a length.
-        parts.push({
-          score: recordingLength ? 1 : 0,
-          weight: 0.1,
-        });
-      }
+  // Add a bonus for each release it appears on.
+  const appearsOnCount = (recording.appearsOn?.results.length) ?? 0;
+  for (let i = 0; i < appearsOnCount; i++) {
+    score += ((1 - score) * 0.10);
+  }
 
-      const recordingWithoutETI = recording.name.replace(etiRegex, '');
-      const nameSimilarity = Math.max(
-        similarity(trackName, recording.name),
-        similarity(trackName, recordingWithoutETI),
-      );
-      parts.push({score: nameSimilarity, weight: 1});
+  const trackArtists = artistGIDs(track.artistCredit());
+  const recordingArtists = new Set(artistGIDs(recording.artistCredit));
+
+  return {
+    appearsOnCount,
+    inReleaseGroup: !!releaseGroupGIDs && releaseGroupGIDs.has(recording.gid),
+    isrcMatch,
+    lengthDifference,
+    matchingArtists: trackArtists.filter(x => recordingArtists.has(x)).length,
+    nameSimilarity,
+    recording,
+    score,
+    trackArtists: trackArtists.length,
+  };
+}
 
-      let score = weightedScore(parts);
-      if (score < MIN_RECORDING_SIMILARITY) {
-        return accum;
-      }
+function matchAgainstRecordings(track, recordings, isrcMatch = false) {
+  if (!recordings || !recordings.length) {
+    return null;
+  }
 
-      // Add a bonus for each release it appears on.
-      let appearsOnCount = (recording.appearsOn?.results.length) ?? 0;
-      while (appearsOnCount) {
-        score += ((1 - score) * 0.10);
-        appearsOnCount--;
-      }
+  const rgRecordings = releaseGroupRecordings.peek();
+  const releaseGroupGIDs = rgRecordings
+    ? new Set(rgRecordings.map(x => x.gid))
+    : null;
 
-      accum.push({recording, score});
+  const matches = recordings
+    .reduce(function (accum, recording) {
+      const match = scoreRecording(
+        track,
+        recording,
+        releaseGroupGIDs,
+        isrcMatch,
+      );
+      if (match) {
+        accum.push(match);
+      }
       return accum;
     }, [])
-    .sort((a, b) => b.score - a.score)
-    .map(x => x.recording);
+    .sort((a, b) => b.score - a.score);
 
   if (matches.length) {
     return matches.map(function (match) {
-      return MB.entity(match, 'recording');
+      return {...match, recording: MB.entity(match.recording, 'recording')};
     });
   }
 
   return null;
 }
 
+function matchISRCRecordings(track) {
+  return matchAgainstRecordings(track, track.isrcRecordings, true);
+}
+
+/*
+ * Returns a short explanation of why a suggested recording matched the
+ * track, e.g. "title 93% similar, length differs by 0:02, 1 of 1 track
+ * artists credited, in this release group".
+ */
+recordingAssociation.explainMatch = function (match) {
+  if (!match) {
+    return '';
+  }
+
+  const reasons = [
+    texp.l('title {percent}% similar', {
+      percent: Math.round(match.nameSimilarity * 100),
+    }),
+  ];
+
+  if (match.lengthDifference === null) {
+    reasons.push(l('length unknown'));
+  } else if (match.lengthDifference < 1000) {
+    reasons.push(l('same length'));
+  } else {
+    reasons.push(texp.l('length differs by {length}', {
+      length: formatTrackLength(match.lengthDifference),
+    }));
+  }
+
+  if (match.trackArtists) {
+    reasons.push(texp.l('{matching} of {total} track artists credited', {
+      matching: match.matchingArtists,
+      total: match.trackArtists,
+    }));
+  }
+
+  if (match.inReleaseGroup) {
+    reasons.push(l('in this release group'));
+  }
+
+  if (match.appearsOnCount) {
+    reasons.push(texp.ln(
+      'appears on {count} release group',
+      'appears on {count} release groups',
+      match.appearsOnCount,
+      {count: match.appearsOnCount},
+    ));
+  }
+
+  return reasons.join(', ');
+};
+
 recordingAssociation.track = function (track) {
   debounceComputed(function () {
     watchTrackForChanges(track);
@@ -0,0 +1,261 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import {MBID_REGEXP} from '../common/constants';
+import hasOwnProp from '../common/utility/hasOwnProp';
+
+/*
+ * Instead of form-encoded keys like `mediums.0.track.3.name`, a release
+ * can be seeded by POSTing a single `json` field to /release/add,
+ * containing a document with the same field names as a nested object:
+ *
+ *   {
+ *     "name": "…",
+ *     "artist_credit": {"names": [{"mbid": "…", "join_phrase": " & "}]},
+ *     "labels": [{"mbid": "…", "catalog_number": "…"}],
+ *     "mediums": [{"format": "CD", "track": [{"name": "…"}]}],
+ *     "urls": [{"url": "…", "link_type": 76}]
+ *   }
+ *
+ * The server resolves MBIDs and type names as for form seeds, while the
+ * document itself is validated here against `seedSchema`, so that errors
+ * point at the exact field that's wrong.
+ *
+ * The release editor only edits URL relationships, which are seeded with
+ * `urls`; there's no `relationships` field, since relationships to other
+ * entities can only be added in the relationship editor once the release
+ * exists.
+ */
+
+const string = {type: 'string'};
+
+const mbid = {
+  type: 'string',
+  pattern: new RegExp('^' + MBID_REGEXP.source + '$'),
+  format: 'an MBID',
+};
+
+const integer = {
+  type: ['integer', 'string'],
+  pattern: /^[0-9]+$/,
+  format: 'a whole number',
+};
+
+const boolean = {type: ['boolean', 'integer', 'string']};
+
+const artistCredit = {
+  type: 'object',
+  properties: {
+    names: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          artist: {type: 'object', properties: {name: string}},
+          join_phrase: string,
+          mbid: mbid,
+          name: string,
+        },
+      },
+    },
+  },
+};
+
+const partialDate = {
+  type: 'object',
+  properties: {
+    day: integer,
+    month: integer,
+    year: integer,
+  },
+};
+
+const track = {
+  type: 'object',
+  properties: {
+    artist_credit: artistCredit,
+    isrcs: {
+      type: ['array', 'string'],
+      items: {
+        type: 'string',
+        pattern: /^[A-Za-z]{2}-?[A-Za-z0-9]{3}-?[0-9]{2}-?[0-9]{5}$/,
+        format: 'an ISRC',
+      },
+    },
+    length: {
+      type: ['integer', 'string'],
+      pattern: /^(?:[0-9]+|[0-9]+:[0-5]?[0-9](?::[0-5][0-9])?)$/,
+      format: 'a length in milliseconds or as “m:ss”',
+    },
+    name: string,
+    number: {type: ['string', 'integer']},
+    pregap: boolean,
+    recording: mbid,
+  },
+};
+
+export const seedSchema = {
+  type: 'object',
+  properties: {
+    annotation: string,
+    artist_credit: artistCredit,
+    barcode: {type: ['string', 'integer']},
+    comment: string,
+    country: string,
+    date: partialDate,
+    edit_note: string,
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          country: {
+            type: 'string',
+            pattern: /^[A-Za-z]{2}$/,
+            format: 'an ISO 3166-1 country code',
+          },
+          date: partialDate,
+        },
+      },
+    },
+    labels: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          catalog_number: string,
+          mbid: mbid,
+          name: string,
+        },
+      },
+    },
+    language: string,
+    make_votable: boolean,
+    mediums: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          format: string,
+          name: string,
+          toc: string,
+          track: {type: 'array', items: track},
+        },
+      },
+    },
+    name: string,
+    packaging: string,
+    redirect_uri: string,
+    release_group: mbid,
+    script: string,
+    status: string,
+    type: {type: ['string', 'array'], items: string},
+    urls: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          link_type: integer,
+          url: string,
+        },
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function describeType(type) {
+  return {
+    array: 'an array',
+    boolean: 'a boolean',
+    integer: 'an integer',
+    null: 'null',
+    number: 'a number',
+    object: 'an object',
+    string: 'a string',
+  }[type];
+}
+
+function fieldName(path) {
+  if (!path.length) {
+    return 'The seed';
+  }
+  return path.reduce(function (name, key) {
+    if (typeof key === 'number') {
+      return name + '[' + key + ']';
+    }
+    return name ? name + '.' + key : key;
+  }, '');
+}
+
+function validate(value, schema, path, errors) {
+  const types = [].concat(schema.type);
+  const type = typeOf(value);
+
+  if (!types.includes(type) &&
+      !(type === 'number' && types.includes('string'))) {
+    errors.push({
+      message: fieldName(path) + ' must be ' +
+        types.map(describeType).join(' or ') + ', not ' +
+        describeType(type) + '.',
+      path: path,
+    });
+    return;
+  }
+
+  if (schema.pattern && (type === 'string' || type === 'integer') &&
+      !schema.pattern.test(String(value))) {
+    errors.push({
+      message: fieldName(path) + ' must be ' + schema.format +
+        ', not “' + String(value) + '”.',
+      path: path,
+    });
+    return;
+  }
+
+  if (type === 'array' && schema.items) {
+    value.forEach(function (item, index) {
+      validate(item, schema.items, path.concat(index), errors);
+    });
+  } else if (type === 'object' && schema.properties) {
+    for (const key of Object.keys(value).sort()) {
+      const fieldPath = path.concat(key);
+
+      if (hasOwnProp(schema.properties, key)) {
+        validate(value[key], schema.properties[key], fieldPath, errors);
+      } else {
+        errors.push({
+          message: 'Unknown field: ' + fieldName(fieldPath) + '.',
+          path: fieldPath,
+        });
+      }
+    }
+  }
+}
+
+/*
+ * Returns a list of errors, each with a message and the path of the
+ * field it refers to, e.g. ['mediums', 0, 'track', 3, 'name'].
+ */
+export default function validateSeed(document) {
+  const errors = [];
+  validate(document, seedSchema, [], errors);
+  return errors;
+}
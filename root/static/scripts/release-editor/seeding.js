@@ -9,6 +9,7 @@
 import ko from 'knockout';
 
 import fields from './fields';
+import validateSeed from './seedSchema';
 import utils from './utils';
 import releaseEditor from './viewModel';
 
@@ -21,8 +22,14 @@ releaseEditor.seed = function (data) {
   var seed = data.seed;
   this.seededReleaseData = seed;
 
-  if (data.errors && data.errors.length) {
-    this.seedErrors(data.errors);
+  var errors = data.errors || [];
+
+  if (data.json) {
+    errors = mergeSeedErrors(validateSeed(JSON.parse(data.json)), errors);
+  }
+
+  if (errors.length) {
+    this.seedErrors(errors);
   }
 
   if (seed.editNote) {
@@ -47,6 +54,36 @@ releaseEditor.seed = function (data) {
 };
 
 
+/*
+ * The server names the field an error is about in the same dotted form
+ * as the form-encoded keys, e.g. “Invalid mediums.0.format: “…”.”
+ */
+const SERVER_ERROR_FIELD =
+  /^(?:Invalid |Unknown field: )?([\w.]+)(?:: | must be | isn’t |$)/;
+
+/*
+ * Schema errors are more precise than the server's errors for the same
+ * field (or a field inside it, which the schema doesn't look at once its
+ * parent is wrong), so those are dropped. The server's other errors
+ * (unknown MBIDs, type names, etc.) are kept.
+ */
+function mergeSeedErrors(schemaErrors, serverErrors) {
+  const fieldNames = schemaErrors.map(x => x.path.join('.')).filter(Boolean);
+
+  return schemaErrors.map(x => x.message).concat(
+    serverErrors.filter(function (message) {
+      const match = message.match(SERVER_ERROR_FIELD);
+      if (!match) {
+        return true;
+      }
+      const field = match[1];
+      return !fieldNames.some(
+        name => field === name || field.startsWith(name + '.'),
+      );
+    }),
+  );
+}
+
 releaseEditor.seedRelease = function (release, data) {
   if (data.name !== undefined) {
     release.name(data.name);
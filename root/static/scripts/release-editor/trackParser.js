@@ -18,8 +18,10 @@ import {
 import {compactMap, sortByNumber} from '../common/utility/arrays';
 import clean from '../common/utility/clean';
 import {debounceComputed} from '../common/utility/debounce';
+import formatTrackLength from '../common/utility/formatTrackLength';
 import isBlank from '../common/utility/isBlank';
 import getCookie from '../common/utility/getCookie';
+import hasOwnProp from '../common/utility/hasOwnProp';
 import setCookie from '../common/utility/setCookie';
 import {fromFullwidthLatin} from '../edit/utility/fullwidthLatin';
 import getSimilarity from '../edit/utility/similarity';
@@ -38,6 +40,19 @@ const trackParser = releaseEditor.trackParser = {
   trackNumber: /^(?:M[\.\-])?([０-９0-9]+(?:-[０-９0-9]+)?)(?:\.|．|\s?-|:|：|;|,|，|$)?/,
   vinylNumber: /^([０-９0-9a-z]+)(?:\/[０-９0-9a-z]+)?(?:\.|．|\s?-|:|：|;|,|，|$)?/i,
 
+  // A TRACK command is what distinguishes a CUE sheet from free text.
+  cueSheet: /^\s*TRACK\s+\d+\s+(?:AUDIO|MODE[12]\/\d+|CDG|CDI\/\d+)\s*$/im,
+  cueCommand: /^\s*(FILE|TRACK|TITLE|PERFORMER|INDEX)\s+(.*?)\s*$/i,
+  cueIndex: /^(\d+)\s+(\d+):(\d+):(\d+)$/,
+
+  /*
+   * Medium headers such as "Disc 2", "CD2: Bonus Tracks" or "Side B".
+   * Side names are only allowed after a colon, so that tracks such as
+   * "Side B - Artist" aren't taken for headers.
+   */
+  mediumHeader: /^\s*(?:(?:cd|dis[ck]|medium)\s*([０-９0-9]+)\s*(?:[:：.\-‒–—―]\s*(.*?))?|side\s+([a-z])\s*(?:[:：].*?|\.)?)\s*$/i,
+  vinylSide: /^([a-z])[０-９0-9]*$/i,
+
   trackTime: /\(?((?:[0-9０-９]+[：，．':,.])?[0-9０-９\?]+[：，．':,.][0-5０-５\?][0-9０-９\?])\)?$/,
 
   options: {
@@ -61,7 +76,7 @@ const trackParser = releaseEditor.trackParser = {
     var self = this;
 
     var options = ko.toJS(this.options);
-    var lines = str.split('\n').filter(x => !isBlank(x));
+    var parsedTracks = this.parseTracks(str, options);
 
     var currentPosition = (medium && medium.hasPregap()) ? -1 : 0;
     var currentTracks;
@@ -83,13 +98,11 @@ const trackParser = releaseEditor.trackParser = {
        * tracks, then more can be added at the end.
        */
       if (hasTocs && !medium.hasDataTracks()) {
-        lines = lines.slice(0, currentTracks.length);
+        parsedTracks = parsedTracks.slice(0, currentTracks.length);
       }
     }
 
-    var newTracksData = $.map(lines, function (line) {
-      var data = self.parseLine(line, options);
-
+    var newTracksData = $.map(parsedTracks, function (data) {
       /*
        * We should've parsed at least some values, otherwise something
        * went wrong. Returning undefined or null removes this result from
@@ -311,6 +324,377 @@ const trackParser = releaseEditor.trackParser = {
     return newTracks;
   },
 
+  /*
+   * Splits a paste containing several mediums into parts, using either
+   * medium headers or, failing that, vinyl side letters (sides A and B
+   * being the first medium, C and D the second, and so on). Each part has
+   * the medium position it refers to, which is null for tracks that
+   * aren't preceded by any header.
+   */
+  splitMediums: function (str) {
+    var options = ko.toJS(this.options);
+    var whole = {position: null, name: '', isVinyl: false, text: str};
+
+    if (this.cueSheet.test(str) ||
+        this.parseJSON(str) ||
+        this.parseDelimited(str)) {
+      return [whole];
+    }
+
+    var parts = [];
+    var part = null;
+
+    for (const line of str.split('\n')) {
+      const match = line.match(this.mediumHeader);
+
+      if (match) {
+        const side = match[3]
+          ? match[3].toLowerCase().charCodeAt(0) - 97
+          : -1;
+        const position = side >= 0
+          ? Math.floor(side / 2) + 1
+          : parseInt(fromFullwidthLatin(match[1]), 10);
+
+        part = parts.find(x => x.position === position);
+
+        if (!part) {
+          part = {
+            position: position,
+            // Names of individual sides don't apply to the whole medium.
+            name: side >= 0 ? '' : clean(match[2]),
+            isVinyl: side >= 0,
+            lines: [],
+          };
+          parts.push(part);
+        }
+      } else {
+        if (!part) {
+          part = {position: null, name: '', isVinyl: false, lines: []};
+          parts.push(part);
+        }
+        part.lines.push(line);
+      }
+    }
+
+    parts = parts.filter(
+      x => x.position !== null || x.lines.some(line => !isBlank(line)),
+    );
+
+    if (!parts.length || (parts.length === 1 && parts[0].position === null)) {
+      if (options.hasTrackNumbers && options.hasVinylNumbers) {
+        return this.splitVinylSides(str, whole);
+      }
+      return [whole];
+    }
+
+    return parts.map(function (part) {
+      const text = part.lines.join('\n');
+      delete part.lines;
+      part.text = text;
+      return part;
+    });
+  },
+
+  splitVinylSides: function (str, whole) {
+    var parts = [];
+    var part = null;
+    var leadingLines = '';
+
+    for (const line of str.split('\n')) {
+      const number = line.trim().match(this.vinylNumber);
+      const side = number && number[1].match(this.vinylSide);
+
+      if (side) {
+        const position =
+          Math.floor((side[1].toLowerCase().charCodeAt(0) - 97) / 2) + 1;
+
+        part = parts.find(x => x.position === position);
+
+        if (!part) {
+          part = {position: position, name: '', isVinyl: true, text: ''};
+          parts.push(part);
+        }
+      }
+
+      if (part) {
+        part.text += line + '\n';
+      } else {
+        leadingLines += line + '\n';
+      }
+    }
+
+    /*
+     * A single medium's worth of sides is still parsed into the current
+     * medium; we only take the sides as a hint that it's vinyl.
+     */
+    if (parts.length < 2) {
+      whole.isVinyl = parts.length === 1;
+      return [whole];
+    }
+
+    parts[0].text = leadingLines + parts[0].text;
+
+    return parts;
+  },
+
+  /*
+   * Returns one data object per input track. Lines that couldn't be
+   * parsed result in empty objects, which `parse` discards.
+   */
+  parseTracks: function (str, options) {
+    if (this.cueSheet.test(str)) {
+      return this.parseCueSheet(str, options);
+    }
+
+    const structuredTracks = this.parseJSON(str) || this.parseDelimited(str);
+    if (structuredTracks) {
+      return structuredTracks.map(x => this.parseStructuredTrack(x, options));
+    }
+
+    return str.split('\n')
+      .filter(x => !isBlank(x))
+      .map(line => this.parseLine(line, options));
+  },
+
+  parseCueSheet: function (str, options) {
+    var tracks = [];
+    var currentFile = 0;
+    var discPerformer = '';
+    var track = null;
+
+    for (const line of str.split('\n')) {
+      const match = line.match(this.cueCommand);
+      if (!match) {
+        continue;
+      }
+
+      const command = match[1].toUpperCase();
+      const value = this.cueValue(match[2]);
+
+      switch (command) {
+        case 'FILE':
+          currentFile++;
+          break;
+
+        case 'TRACK':
+          track = {
+            number: value.split(/\s+/)[0].replace(/^0+(\d+)/, '$1'),
+            title: '',
+            performer: '',
+            indexes: {},
+          };
+          tracks.push(track);
+          break;
+
+        case 'TITLE':
+          if (track) {
+            track.title = value;
+          }
+          break;
+
+        case 'PERFORMER':
+          if (track) {
+            track.performer = value;
+          } else {
+            discPerformer = value;
+          }
+          break;
+
+        case 'INDEX': {
+          const index = value.match(this.cueIndex);
+          if (track && index) {
+            track.indexes[parseInt(index[1], 10)] = {
+              file: currentFile,
+              frames: (
+                (parseInt(index[2], 10) * 60 + parseInt(index[3], 10)) * 75 +
+                parseInt(index[4], 10)
+              ),
+            };
+          }
+          break;
+        }
+      }
+    }
+
+    return tracks.map((track, i) => {
+      const data = {};
+
+      if (options.useTrackNumbers) {
+        data.number = track.number;
+      }
+
+      if (options.useTrackNames) {
+        data.name = clean(track.title);
+      }
+
+      if (options.useTrackArtists) {
+        data.artist = this.cleanArtistName(track.performer || discPerformer);
+      }
+
+      if (options.useTrackLengths) {
+        const frames = this.cueTrackFrames(track, tracks[i + 1]);
+        if (frames > 0) {
+          data.length = Math.round(frames * 1000 / 75);
+          data.formattedLength = formatTrackLength(data.length);
+        }
+      }
+
+      return data;
+    });
+  },
+
+  /*
+   * Track lengths are measured from INDEX 01 to the next track's
+   * INDEX 01, so that any pregap belongs to the preceding track (as it
+   * does in a CD TOC). Offsets are relative to the start of each FILE,
+   * so with multi-FILE cues we can only fall back to the next track's
+   * INDEX 00 if it's in the same file as this track; otherwise the
+   * length is unknown. In particular, cues with one FILE per track give
+   * no lengths at all, since the length of each file isn't in the cue
+   * (the track parser dialog mentions this).
+   */
+  cueTrackFrames: function (track, nextTrack) {
+    const start = track.indexes[1];
+
+    if (!start || !nextTrack) {
+      return null;
+    }
+
+    const end = [nextTrack.indexes[1], nextTrack.indexes[0]]
+      .find(index => index && index.file === start.file);
+
+    return end ? end.frames - start.frames : null;
+  },
+
+  cueValue: function (value) {
+    value = value.trim();
+
+    const quoted = value.match(/^"(.*)"$/);
+    return quoted ? quoted[1] : value;
+  },
+
+  /*
+   * Accepts a JSON array of objects with number, title (or name),
+   * artist and length properties. Returns null if the input isn't one.
+   */
+  parseJSON: function (str) {
+    if (!/^\s*\[/.test(str)) {
+      return null;
+    }
+
+    let tracks;
+    try {
+      tracks = JSON.parse(str);
+    } catch (e) {
+      return null;
+    }
+
+    if (!Array.isArray(tracks) ||
+        !tracks.every(x => x && typeof x === 'object')) {
+      return null;
+    }
+
+    return tracks.map(track => {
+      const row = {};
+      for (const [key, value] of Object.entries(track)) {
+        const column = this.structuredColumn(key);
+        if (column && value != null) {
+          row[column] = value;
+        }
+      }
+      return row;
+    });
+  },
+
+  /*
+   * Accepts spreadsheet rows (tab- or comma-separated) whose first line
+   * is a header naming at least two known columns. Returns null if the
+   * input doesn't look like that.
+   */
+  parseDelimited: function (str) {
+    const firstLine = str.split('\n').find(x => !isBlank(x));
+    if (!firstLine) {
+      return null;
+    }
+
+    const delimiter = firstLine.includes('\t') ? '\t' : ',';
+    const [header, ...rows] = splitDelimitedRows(str, delimiter)
+      .filter(row => row.some(x => !isBlank(x)));
+    const columns = header.map(x => this.structuredColumn(x));
+
+    if (columns.filter(Boolean).length < 2) {
+      return null;
+    }
+
+    return rows.map(function (cells) {
+      const row = {};
+      columns.forEach(function (column, index) {
+        if (column && !isBlank(cells[index])) {
+          row[column] = cells[index];
+        }
+      });
+      return row;
+    });
+  },
+
+  structuredColumns: {
+    '#': 'number',
+    'no': 'number',
+    'no.': 'number',
+    'number': 'number',
+    'track number': 'number',
+    'name': 'title',
+    'title': 'title',
+    'track name': 'title',
+    'track title': 'title',
+    'artist': 'artist',
+    'artists': 'artist',
+    'performer': 'artist',
+    'track artist': 'artist',
+    'duration': 'length',
+    'length': 'length',
+    'time': 'length',
+  },
+
+  structuredColumn: function (name) {
+    const key = clean(String(name)).toLowerCase();
+    return hasOwnProp(this.structuredColumns, key)
+      ? this.structuredColumns[key]
+      : null;
+  },
+
+  parseStructuredTrack: function (row, options) {
+    const data = {};
+
+    if (options.useTrackNumbers && row.number != null) {
+      data.number = clean(fromFullwidthLatin(String(row.number)));
+    }
+
+    if (options.useTrackNames && row.title != null) {
+      data.name = clean(String(row.title));
+    }
+
+    if (options.useTrackArtists && row.artist != null) {
+      data.artist = this.cleanArtistName(String(row.artist));
+    }
+
+    if (options.useTrackLengths && row.length != null) {
+      // Numeric lengths (from JSON) are in milliseconds.
+      const length = typeof row.length === 'number'
+        ? row.length
+        : utils.unformatTrackLength(
+          fromFullwidthLatin(clean(row.length)),
+        );
+
+      if (length) {
+        data.length = length;
+        data.formattedLength = formatTrackLength(length);
+      }
+    }
+
+    return data;
+  },
+
   parseLine: function (line, options) {
     var data = {};
 
@@ -492,6 +876,51 @@ trackParser.customDelimiterError = debounceComputed(function () {
     : l('Invalid regular expression.');
 });
 
+/*
+ * Splits CSV/TSV text into rows of cells. Cells may be wrapped in double
+ * quotes, in which case they can contain the delimiter, newlines, and
+ * escaped ("") quotes.
+ */
+function splitDelimitedRows(str, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+
+    if (quoted) {
+      if (char === '"' && str[i + 1] === '"') {
+        cell += char;
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && isBlank(cell)) {
+      cell = '';
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows;
+}
+
 function optionCookie(name, defaultValue, checkbox=true) {
   const existingValue = getCookie(name);
 
@@ -11,111 +11,14 @@ import test from 'tape';
 import {
   LINK_TYPES,
   cleanURL,
+  cleanupExamples,
   guessType,
+  preCleanURL,
   validationRules,
 } from '../../edit/URLCleanup';
 
 /* eslint-disable indent, max-len, sort-keys */
 const testData = [
-  // 45cat
-  {
-                     input_url: 'https://www.45cat.com/artist/edwin-starr',
-             input_entity_type: 'artist',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45cat.com/artist/edwin-starr',
-       only_valid_entity_types: ['artist'],
-  },
-  {
-                     input_url: 'www.45cat.com/label/eastwest/all',
-             input_entity_type: 'label',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45cat.com/label/eastwest',
-       only_valid_entity_types: ['label'],
-  },
-  {
-                     input_url: 'http://45cat.com/record/vs1370&rc=365077#365077',
-             input_entity_type: 'release_group',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45cat.com/record/vs1370',
-       only_valid_entity_types: ['release_group'],
-  },
-  {
-                     input_url: 'http://www.45cat.com/45_composer.php?tc=Floyd+Hunt',
-             input_entity_type: 'artist',
-    expected_relationship_type: 'otherdatabases',
-       only_valid_entity_types: [],
-  },
-  // 45worlds
-  {
-                     input_url: 'http://www.45worlds.com/78rpm/artist/yehudi-menuhin',
-             input_entity_type: 'artist',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45worlds.com/78rpm/artist/yehudi-menuhin',
-       only_valid_entity_types: ['artist'],
-  },
-  {
-                     input_url: 'https://45worlds.com/classical/artist/yehudi-menuhin',
-             input_entity_type: 'artist',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45worlds.com/classical/artist/yehudi-menuhin',
-       only_valid_entity_types: ['artist'],
-  },
-  {
-                     input_url: 'www.45worlds.com/classical/soloist/yehudi-menuhin',
-             input_entity_type: 'artist',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45worlds.com/classical/soloist/yehudi-menuhin',
-       only_valid_entity_types: ['artist'],
-  },
-  {
-                     input_url: 'http://www.45worlds.com/live/listing/rumer-fawcetts-field-2012&rc=186697#186697',
-             input_entity_type: 'event',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45worlds.com/live/listing/rumer-fawcetts-field-2012',
-       only_valid_entity_types: ['event'],
-  },
-  {
-                     input_url: 'http://www.45worlds.com/tape/label/parlophone/all',
-             input_entity_type: 'label',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45worlds.com/tape/label/parlophone',
-       only_valid_entity_types: ['label'],
-  },
-  {
-                     input_url: 'http://www.45worlds.com/live/venue/stadium-high-school-stadium',
-             input_entity_type: 'place',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45worlds.com/live/venue/stadium-high-school-stadium',
-       only_valid_entity_types: ['place'],
-  },
-  {
-                     input_url: 'http://www.45worlds.com/vinyl/album/mfsl1100',
-             input_entity_type: 'release_group',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45worlds.com/vinyl/album/mfsl1100',
-       only_valid_entity_types: ['release_group'],
-  },
-  {
-                     input_url: 'http://www.45worlds.com/12single/record/fu2t',
-             input_entity_type: 'release_group',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45worlds.com/12single/record/fu2t',
-       only_valid_entity_types: ['release_group'],
-  },
-  {
-                     input_url: 'http://www.45worlds.com/cdsingle/cd/pwcd227',
-             input_entity_type: 'release_group',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45worlds.com/cdsingle/cd/pwcd227',
-       only_valid_entity_types: ['release_group'],
-  },
-  {
-                     input_url: 'http://www.45worlds.com/classical/music/asd264',
-             input_entity_type: 'release_group',
-    expected_relationship_type: 'otherdatabases',
-            expected_clean_url: 'http://www.45worlds.com/classical/music/asd264',
-       only_valid_entity_types: ['release_group'],
-  },
   // 7digital (zdigital)
   {
                      input_url: 'http://es.7digital.com/artist/the-impatient-sisters',
@@ -4398,6 +4301,22 @@ const testData = [
 ];
 /* eslint-enable indent, max-len, sort-keys */
 
+// Sites described as data carry their own examples.
+for (const example of cleanupExamples) {
+  const subtest = {
+    input_url: example.input,
+    only_valid_entity_types: example.validFor,
+  };
+  if (example.entityType) {
+    subtest.expected_relationship_type = example.relationshipType;
+    subtest.input_entity_type = example.entityType;
+  }
+  if (example.clean) {
+    subtest.expected_clean_url = example.clean;
+  }
+  testData.push(subtest);
+}
+
 const relationshipTypesByUuid = Object.entries(LINK_TYPES).reduce(function (
   results,
   [relationshipType, relUuidByEntityType],
@@ -4542,3 +4461,51 @@ testData.forEach(function (subtest, i) {
     st.end();
   });
 });
+
+test('redirects, tracking and mobile variants are stripped', function (t) {
+  t.plan(6);
+
+  t.deepEqual(
+    preCleanURL('https://www.google.com/url?sa=t&url=https%3A%2F%2Fexample.com%2Fa%3Fb%3Dc&ved=1'),
+    {
+      stripped: [{
+        kind: 'redirect',
+        value: 'https://www.google.com/url?sa=t&url=https%3A%2F%2Fexample.com%2Fa%3Fb%3Dc&ved=1',
+      }],
+      url: 'https://example.com/a?b=c',
+    },
+    'Google redirects are unwrapped',
+  );
+  t.equal(
+    cleanURL('https://l.facebook.com/l.php?u=https%3A%2F%2Fwww.discogs.com%2Fartist%2F301-Source-Direct%3Ffbclid%3Dabc&h=xyz'),
+    'https://www.discogs.com/artist/301',
+    'nested wrappers are unwrapped before the site cleanup',
+  );
+  t.equal(
+    cleanURL('https://www.youtube.com/redirect?event=video_description&q=http%3A%2F%2Fexample.org%2F'),
+    'http://example.org/',
+    'YouTube redirects are unwrapped',
+  );
+  t.deepEqual(
+    preCleanURL('https://en.m.example.org/page?id=1&utm_source=x&fbclid=y#top'),
+    {
+      stripped: [
+        {kind: 'mobile', value: 'en.m.example.org'},
+        {kind: 'tracking', value: 'utm_source=x'},
+        {kind: 'tracking', value: 'fbclid=y'},
+      ],
+      url: 'https://en.example.org/page?id=1#top',
+    },
+    'mobile hosts and tracking parameters are stripped',
+  );
+  t.equal(
+    preCleanURL('https://www-example-com.cdn.ampproject.org/c/s/www.example.com/news?amp=1').url,
+    'https://www.example.com/news',
+    'AMP cache URLs are unwrapped',
+  );
+  t.deepEqual(
+    preCleanURL('https://m.bandcamp.com/album/x'),
+    {stripped: [], url: 'https://m.bandcamp.com/album/x'},
+    'user subdomains aren’t taken for mobile hosts',
+  );
+});
@@ -10,6 +10,7 @@ import test from 'tape';
 
 import MB from '../common/MB';
 import setCookie from '../common/utility/setCookie';
+import * as exceptions from '../guess-case/exceptions';
 import gc from '../guess-case/MB/GuessCase/Main';
 import * as modes from '../guess-case/modes';
 
@@ -574,3 +575,214 @@ test('vinyl numbers are fixed', function (t) {
     t.equal(MB.GuessCase.track.guess(test.input), test.expected);
   }
 });
+
+test('language modes', function (t) {
+  t.plan(9);
+
+  setCookie('guesscase_roman', 'false');
+
+  const tests = [
+    {
+      input: 'El Amor De Mi Vida (En Vivo)',
+      expected: 'El amor de mi vida (En vivo)',
+      mode: 'Spanish',
+    },
+    {
+      input: 'a lua e o mar',
+      expected: 'A lua e o mar',
+      mode: 'Portuguese',
+    },
+    {
+      input: 'perche E\' cosi',
+      expected: 'Perche è cosi',
+      mode: 'Italian',
+    },
+    {
+      input: 'e\' la vita',
+      expected: 'È la vita',
+      mode: 'Italian',
+    },
+    {
+      input: 'Das Lied Von Der Erde',
+      expected: 'Das Lied von der Erde',
+      mode: 'German',
+    },
+    {
+      input: 'Ich Bin Ein Berliner',
+      expected: 'Ich bin ein Berliner',
+      mode: 'German',
+    },
+  ];
+
+  for (const test of tests) {
+    gc.mode = modes.getMode(test.mode);
+    t.equal(MB.GuessCase.work.guess(test.input), test.expected, test.mode);
+  }
+
+  gc.mode = modes.createLanguageMode({
+    name: 'Test',
+    sentenceCaps: false,
+    lowerCaseWords: ['und'],
+    upperCaseWords: ['ard'],
+    postProcessFixes: [{pattern: '(\\b)Zdf(\\b)', replacement: 'ZDF'}],
+  });
+  t.equal(
+    MB.GuessCase.work.guess('tom und jerry bei ard und zdf'),
+    'Tom und Jerry Bei ARD und ZDF',
+    'modes can be created from new language definitions',
+  );
+  t.ok(
+    !gc.mode.description.includes('<a '),
+    'modes without guidelines are described without a link',
+  );
+
+  t.equal(
+    modes.getMode('Unknown'),
+    modes.English,
+    'unknown mode names fall back to English',
+  );
+
+  gc.mode = modes.English;
+});
+
+test('user exceptions', function (t) {
+  t.plan(8);
+
+  t.equal(
+    exceptions.applyExceptions('Love Song (Kiss Fm Remix)', ['FM', 'KISS']),
+    'Love Song (KISS FM Remix)',
+    'entries are restored after guess case',
+  );
+  t.equal(
+    exceptions.applyExceptions('Fmx', ['FM']),
+    'Fmx',
+    'only whole words are restored',
+  );
+
+  const savedExceptions = exceptions.getExceptions();
+
+  exceptions.setExceptions([]);
+  exceptions.addException('iphone');
+  exceptions.addException(' iPhone ');
+  t.deepEqual(
+    exceptions.addException('AC/DC'),
+    ['AC/DC', 'iPhone'],
+    'entries differing only by case are replaced',
+  );
+
+  t.equal(
+    MB.GuessCase.track.guess('my iphone plays ac/dc and deadmau5'),
+    'My iPhone Plays AC/DC and Deadmau5',
+    'entries are respected by guess case',
+  );
+
+  exceptions.addException('deadmau5');
+  t.equal(
+    MB.GuessCase.artist.guess('deadmau5'),
+    'deadmau5',
+    'entries are respected by every handler',
+  );
+
+  exceptions.addException('12" Mix');
+  t.equal(
+    MB.GuessCase.track.guess('love song (12inch mix)'),
+    'Love Song (12" Mix)',
+    'entries are respected after the vinyl sizes are fixed',
+  );
+
+  exceptions.addException('KLF');
+  t.equal(
+    MB.GuessCase.artist.sortname('the klf'),
+    'KLF, The',
+    'entries are respected by sort names',
+  );
+
+  t.deepEqual(
+    exceptions.removeException('iPhone'),
+    ['12" Mix', 'AC/DC', 'deadmau5', 'KLF'],
+    'entries can be removed',
+  );
+
+  exceptions.setExceptions(savedExceptions);
+});
+
+test('person sort names', function (t) {
+  t.plan(14);
+
+  const tests = [
+    {
+      input: 'Ludwig van Beethoven',
+      expected: ['Beethoven, Ludwig van', 'van Beethoven, Ludwig'],
+    },
+    {
+      input: 'Vincent van Gogh',
+      expected: ['Gogh, Vincent van', 'van Gogh, Vincent'],
+    },
+    {
+      input: 'Dick Van Dyke',
+      expected: ['Van Dyke, Dick', 'Dyke, Dick Van'],
+    },
+    {
+      input: 'Bob St. John',
+      expected: ['St. John, Bob'],
+    },
+    {
+      input: 'Gabriel García Márquez',
+      expected: ['Márquez, Gabriel García', 'García Márquez, Gabriel'],
+    },
+    {
+      input: 'Gabriel García Márquez',
+      expected: ['García Márquez, Gabriel', 'Márquez, Gabriel García'],
+      mode: 'Spanish',
+    },
+    {
+      input: 'José Ortega y Gasset',
+      expected: ['Ortega y Gasset, José'],
+    },
+    {
+      input: 'Lorenzo da Ponte',
+      expected: ['da Ponte, Lorenzo', 'Ponte, Lorenzo da'],
+      mode: 'Italian',
+    },
+    {
+      input: 'Пётр Ильич Чайковский',
+      expected: ['Чайковский, Пётр Ильич'],
+    },
+    {
+      input: 'Чайковский Пётр Ильич',
+      expected: ['Чайковский, Пётр Ильич'],
+    },
+    {
+      input: 'Μίκης Θεοδωράκης',
+      expected: ['Θεοδωράκης, Μίκης'],
+    },
+    {
+      input: '坂本 龍一',
+      expected: ['坂本 龍一'],
+    },
+    {
+      input: 'Ludwig van Beethoven & DJ Shadow',
+      expected: [
+        'Beethoven, Ludwig van & Shadow, DJ',
+        'van Beethoven, Ludwig & Shadow, DJ',
+      ],
+    },
+  ];
+
+  for (const test of tests) {
+    gc.mode = modes.getMode(test.mode || 'English');
+    t.deepEqual(
+      MB.GuessCase.artist.sortnames(test.input, true),
+      test.expected,
+      test.input,
+    );
+  }
+
+  gc.mode = modes.English;
+
+  t.equal(
+    MB.GuessCase.artist.sortname('Ludwig van Beethoven', true),
+    'Beethoven, Ludwig van',
+    'the preferred sort name is guessed',
+  );
+});
@@ -0,0 +1,66 @@
+/*
+ * @flow
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import {LINK_TYPES} from '../../../edit/URLCleanup';
+import checkURL, {checkURLs} from '../../../edit/utility/checkURL';
+
+test('URLs are cleaned and classified', function (t) {
+  t.plan(1);
+
+  t.deepEqual(
+    checkURL('  www.discogs.com/artist/301-Source-Direct ', 'artist'),
+    {
+      cleanURL: 'https://www.discogs.com/artist/301',
+      error: '',
+      linkType: LINK_TYPES.discogs.artist,
+      linkTypeName: 'discogs',
+      result: true,
+      stripped: [],
+      url: '  www.discogs.com/artist/301-Source-Direct ',
+    },
+  );
+});
+
+test('URLs get the errors shown in the external links editor', function (t) {
+  t.plan(4);
+
+  const errors = checkURLs([
+    'not a url',
+    'https://bit.ly/abcdef',
+    'https://example.com/',
+    'https://www.discogs.com/artist/301',
+  ], 'release').map(x => [x.result, x.error]);
+
+  t.deepEqual(
+    errors[0],
+    [false, 'Enter a valid url e.g. "http://google.com/"'],
+    'invalid URLs are rejected',
+  );
+  t.deepEqual(
+    errors[1],
+    [
+      false,
+      'Please don’t enter bundled/shortened URLs, ' +
+        'enter the destination URL(s) instead.',
+    ],
+    'shortened URLs are rejected',
+  );
+  t.deepEqual(
+    errors[2],
+    [false, 'Please select a link type for the URL you’ve entered.'],
+    'URLs without a guessed link type are reported',
+  );
+  t.equal(
+    errors[3][0],
+    false,
+    'validation rules for the guessed link type are applied',
+  );
+});
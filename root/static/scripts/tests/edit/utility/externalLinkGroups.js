@@ -0,0 +1,64 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import linkedEntities from '../../../common/linkedEntities';
+import {LINK_TYPES} from '../../../edit/URLCleanup';
+import groupExternalLinks from '../../../edit/utility/externalLinkGroups';
+
+test('groupExternalLinks', function (t) {
+  t.plan(3);
+
+  linkedEntities.mergeLinkedEntities({
+    link_type: {
+      '1': {gid: 'fe33d22f-c3b0-4d68-bd53-a856badf2b15', name: 'official homepage'},
+      '2': {gid: LINK_TYPES.discogs.artist, name: 'discogs'},
+      '3': {gid: LINK_TYPES.wikidata.artist, name: 'wikidata'},
+      '4': {gid: LINK_TYPES.socialnetwork.artist, name: 'social network'},
+      '5': {gid: 'a1b2c3d4-0000-4000-8000-000000000000', name: 'unknown'},
+    },
+  });
+
+  const {groups, ungrouped} = groupExternalLinks([
+    {type: 3, url: 'https://www.wikidata.org/wiki/Q1'},
+    {type: 4, url: 'https://twitter.com/example'},
+    {type: null, url: 'https://example.org/'},
+    {type: 2, url: 'https://www.discogs.com/artist/1'},
+    {type: 1, url: 'https://example.com/'},
+    {type: 5, url: 'https://example.net/'},
+    {type: null, url: ''},
+  ]);
+
+  t.deepEqual(
+    groups.map(group => [group.key, group.indexes]),
+    [
+      ['official', [4]],
+      ['social', [1]],
+      ['databases', [3, 0]],
+      ['other', [5]],
+    ],
+    'links are grouped by type and sorted by site within groups',
+  );
+  t.deepEqual(ungrouped, [2, 6], 'links without a type aren’t grouped');
+
+  const links = [
+    {type: 2, url: 'https://www.discogs.com/artist/2'},
+    {type: 2, url: 'https://www.discogs.com/artist/1'},
+    {type: 3, url: 'https://www.wikidata.org/wiki/Q1'},
+  ];
+  t.deepEqual(
+    groupExternalLinks(links, [
+      'https://www.discogs.com/artist/1',
+      'https://www.discogs.com/artist/2',
+      undefined,
+    ]).groups.map(group => group.indexes),
+    [[0, 1, 2]],
+    'links are sorted by their sort URLs, and come last without one',
+  );
+});
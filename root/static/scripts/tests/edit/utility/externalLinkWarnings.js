@@ -0,0 +1,64 @@
+/*
+ * @flow
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import getWarnings from '../../../edit/utility/externalLinkWarnings';
+
+test('getExternalLinkWarnings', function (t) {
+  t.plan(4);
+
+  const warnings = links => getWarnings(
+    links.map(([url, type]) => ({type, url})),
+    'artist',
+  );
+
+  t.deepEqual(
+    warnings([
+      ['https://www.discogs.com/artist/301', 180],
+      ['http://www.discogs.com/artist/301-Source-Direct', 188],
+      ['https://www.discogs.com/artist/301', 180],
+    ]),
+    ['', 'This URL has already been added with another type.', ''],
+    'the same clean URL with another type is warned about',
+  );
+  t.deepEqual(
+    warnings([
+      ['http://example.com/band', 288],
+      ['https://EXAMPLE.com/band/', 288],
+    ]),
+    [
+      '',
+      'This URL only differs from http://example.com/band by ' +
+        'http/https or a trailing slash.',
+    ],
+    'http/https and trailing slash variants are warned about',
+  );
+  t.deepEqual(
+    warnings([
+      ['https://www.wikidata.org/wiki/Q1', 352],
+      ['https://www.wikidata.org/wiki/Q2', 352],
+    ]),
+    [
+      '',
+      'There is already a link to this site. ' +
+        'Entities normally only have one link to it.',
+    ],
+    'second links to single-link sites are warned about',
+  );
+  t.deepEqual(
+    warnings([
+      ['https://twitter.com/a', 190],
+      ['https://twitter.com/b', 190],
+      ['', null],
+    ]),
+    ['', '', ''],
+    'other links are fine',
+  );
+});
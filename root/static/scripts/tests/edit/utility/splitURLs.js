@@ -0,0 +1,42 @@
+/*
+ * @flow
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import splitURLs from '../../../edit/utility/splitURLs';
+
+test('splitURLs', function (t) {
+  t.plan(3);
+
+  t.deepEqual(
+    splitURLs(
+      'Facebook: https://www.facebook.com/example\n' +
+      'Twitter:\thttps://twitter.com/example\n\n' +
+      'www.example.com soundcloud.com/example ' +
+      'https://twitter.com/example',
+    ),
+    [
+      'https://www.facebook.com/example',
+      'https://twitter.com/example',
+      'www.example.com',
+      'soundcloud.com/example',
+    ],
+    'URLs are split on whitespace, without labels or duplicates',
+  );
+  t.deepEqual(
+    splitURLs('https://www.example.com/ '),
+    [],
+    'a single URL isn’t split',
+  );
+  t.deepEqual(
+    splitURLs('e.g. see http://example.com/'),
+    [],
+    'words with dots aren’t taken for URLs',
+  );
+});
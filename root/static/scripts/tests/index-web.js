@@ -9,10 +9,17 @@ require('./guessFeat');
 require('./i18n');
 require('./relationship-editor');
 require('./release-editor/actions');
+require('./release-editor/bulkArtistCredit');
 require('./release-editor/common');
+require('./release-editor/copyTracklist');
 require('./release-editor/dialogs');
+require('./release-editor/drafts');
 require('./release-editor/edits');
 require('./release-editor/fields');
+require('./release-editor/guessCaseAll');
+require('./release-editor/history');
+require('./release-editor/recordingAssociation');
+require('./release-editor/seedSchema');
 require('./release-editor/trackParser');
 require('./release-editor/utils');
 require('./release-editor/validation');
@@ -1,5 +1,9 @@
 require('./common/immutable-entities');
+require('./edit/utility/checkURL');
+require('./edit/utility/externalLinkGroups');
+require('./edit/utility/externalLinkWarnings');
 require('./edit/utility/linkPhrase');
+require('./edit/utility/splitURLs');
 require('./entity');
 require('./i18n');
 require('./i18n/expand2');
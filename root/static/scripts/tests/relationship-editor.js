@@ -26,6 +26,15 @@ import {
   GenericEntityViewModel,
   prepareSubmission,
 } from '../relationship-editor/generic';
+import {
+  CopyRelationshipsDialog,
+  copyRelationships,
+} from '../relationship-editor/copyRelationships';
+import {
+  findTracks,
+  matchCreditRole,
+  parseCredits,
+} from '../relationship-editor/credits';
 import {ReleaseViewModel} from '../relationship-editor/release';
 
 class FakeRelationship extends fields.Relationship {}
@@ -378,6 +387,93 @@ relationshipEditorTest('merging duplicate relationships', function (t) {
   earlierRelationship.remove();
 });
 
+relationshipEditorTest('conflicting relationships', function (t) {
+  t.plan(6);
+
+  var vm = setupReleaseRelationshipEditor();
+
+  var source = MB.entity({ entityType: 'recording', name: 'foo' });
+  var target = MB.entity({ entityType: 'artist', name: 'bar' });
+
+  var relationship = vm.getRelationship({
+    target: target,
+    linkTypeID: 148,
+    attributes: ids2attrs([277]),
+    begin_date: null,
+    end_date: null,
+    ended: false,
+  }, source);
+
+  var conflictingRelationship = vm.getRelationship({
+    target: target,
+    linkTypeID: 148,
+    attributes: ids2attrs([229]),
+    begin_date: { year: 2001 },
+    end_date: { year: 2003 },
+    ended: true,
+  }, source);
+
+  var laterRelationship = vm.getRelationship({
+    target: target,
+    linkTypeID: 148,
+    attributes: ids2attrs([229]),
+    begin_date: { year: 2005 },
+    end_date: null,
+    ended: false,
+  }, source);
+
+  relationship.show();
+  conflictingRelationship.show();
+  laterRelationship.show();
+
+  t.ok(
+    !source.mergeRelationship(conflictingRelationship),
+    'relationships with different attributes are not merged automatically',
+  );
+
+  t.deepEqual(
+    conflictingRelationship.conflicts(),
+    [relationship],
+    'relationships with overlapping date periods conflict',
+  );
+
+  t.ok(
+    !conflictingRelationship.conflictsWith(laterRelationship),
+    'relationships with separate date periods don’t conflict',
+  );
+
+  t.ok(
+    !conflictingRelationship.canMergeDatesWith(laterRelationship),
+    'relationships with conflicting dates can’t be merged',
+  );
+
+  conflictingRelationship.mergeWith(relationship);
+
+  t.deepEqual(
+    ko.toJS({
+      attributes: relationship.attributes().map(x => x.type.id).sort(),
+      begin_date: relationship.begin_date,
+      end_date: relationship.end_date,
+      ended: relationship.ended,
+    }),
+    {
+      attributes: [229, 277],
+      begin_date: { year: 2001, month: null, day: null },
+      end_date: { year: 2003, month: null, day: null },
+      ended: true,
+    },
+    'attributes and dates are merged',
+  );
+
+  t.ok(
+    conflictingRelationship.removed(),
+    'the merged relationship is removed',
+  );
+
+  relationship.remove();
+  laterRelationship.remove();
+});
+
 relationshipEditorTest('dialog backwardness', function (t) {
   t.plan(8);
 
@@ -1277,3 +1373,224 @@ relationshipEditorTest((
     'edit-work.rel.2.target': '306006c7-a946-33e2-b35c-add3a2c74638',
   });
 });
+
+relationshipEditorTest('parsing credits from liner notes', function (t) {
+  t.plan(11);
+
+  t.deepEqual(
+    parseCredits(
+      'Bass, Lead Vocals – John Smith (tracks A to B)\n' +
+      'Mixed By: Jane Doe*, John Smith (2)\n' +
+      'Thanks to everyone\n',
+    ).map(x => [x.role, x.name, x.tracks]),
+    [
+      ['Bass', 'John Smith', 'A to B'],
+      ['Lead Vocals', 'John Smith', 'A to B'],
+      ['Mixed By', 'Jane Doe', null],
+      ['Mixed By', 'John Smith', null],
+      ['', '', null],
+    ],
+    'roles, names and tracks are split up',
+  );
+
+  var vm = setupReleaseRelationshipEditor();
+  var mediums = vm.source.mediums();
+  var recordings = mediums[0].tracks.map(x => x.recording);
+
+  t.deepEqual(
+    findTracks('B, A', mediums).tracks.map(x => x.recording),
+    recordings,
+    'tracks are found in release order',
+  );
+  t.equal(
+    findTracks('A-C', mediums).error,
+    'A-C',
+    'unknown positions are reported',
+  );
+
+  var bass = matchCreditRole('Bass', 'recording');
+  t.deepEqual(
+    [bass.linkType.id, bass.attributes.map(x => x.id)],
+    [148, [277]],
+    'instruments are matched to attributes',
+  );
+
+  var vocals = matchCreditRole('Lead Vocals', 'recording');
+  t.deepEqual(
+    [vocals.linkType.id, vocals.attributes.map(x => x.id)],
+    [149, [4]],
+    'vocals are matched to attributes',
+  );
+
+  t.equal(
+    matchCreditRole('Mixed By', 'release').linkType.name,
+    'mix',
+    'other roles are matched to link types',
+  );
+  t.equal(matchCreditRole('Catering', 'release'), null);
+
+  var dialog = vm.creditsDialog;
+  var artists = {
+    'Jane Doe': [MB.entity({
+      entityType: 'artist',
+      gid: fakeGID0,
+      name: 'Jane Doe',
+    })],
+    'John Smith': [MB.entity({
+      entityType: 'artist',
+      gid: fakeGID1,
+      name: 'John Smith',
+    })],
+    'Joe Bloggs': [
+      MB.entity({
+        comment: 'US bassist',
+        entityType: 'artist',
+        gid: fakeGID2,
+        name: 'Joe Bloggs',
+      }),
+      MB.entity({
+        comment: 'UK bassist',
+        entityType: 'artist',
+        gid: '4d08f3d3-8a9d-4dc2-9ef8-8a3a7ac80a41',
+        name: 'Joe Bloggs',
+      }),
+    ],
+  };
+  dialog.searchArtists = function (name) {
+    return $.Deferred().resolve(artists[name] || []).promise();
+  };
+
+  dialog.text(
+    'Bass – John Smith (tracks A)\n' +
+    'Mixed By – Jane Doe\n' +
+    'Guitar – Unknown\n' +
+    'Bass – Joe Bloggs (2)\n',
+  );
+  dialog.parse();
+
+  t.deepEqual(
+    dialog.rows().map(row => [row.canApply(), row.targetsText]),
+    [
+      [true, 'Tracks A'],
+      [true, 'Release'],
+      [false, 'Tracks A, B'],
+      [false, 'Tracks A, B'],
+    ],
+    'rows can only be applied once their artist is found',
+  );
+
+  var homonymRow = dialog.rows()[3];
+  t.deepEqual(
+    homonymRow.candidates().map(x => homonymRow.candidateText(x)),
+    ['Joe Bloggs (US bassist)', 'Joe Bloggs (UK bassist)'],
+    'artists with the same name have to be chosen between',
+  );
+
+  dialog.apply();
+
+  t.deepEqual(
+    recordings.map(recording => recording.relationships().map(
+      r => [r.linkTypeID(), r.attributes().map(x => x.type.id)],
+    )),
+    [[[148, [277]]], []],
+    'performers are added to the listed recordings',
+  );
+  t.deepEqual(
+    vm.source.relationships().map(r => r.target(vm.source).name),
+    ['Jane Doe'],
+    'other credits are added to the release',
+  );
+});
+
+relationshipEditorTest((
+  'copying relationships to other recordings'
+), function (t) {
+  t.plan(5);
+
+  var vm = setupReleaseRelationshipEditor();
+  var recordings = vm.source.mediums()[0].tracks.map(x => x.recording);
+  var source = recordings[0];
+
+  var relationship = vm.getRelationship({
+    target: MB.entity({entityType: 'artist', gid: fakeGID0, name: 'foo'}),
+    linkTypeID: 148,
+    attributes: ids2attrs([277]),
+    begin_date: {year: 2001},
+  }, source);
+  relationship.show();
+
+  var dialog = new CopyRelationshipsDialog(vm);
+  dialog.load(source, recordings);
+
+  t.equal(dialog.choices().length, 1, 'relationships are listed');
+  t.deepEqual(dialog.targets(), [recordings[1]], 'source isn’t a target');
+
+  copyRelationships([relationship], source, recordings, vm);
+
+  var copies = recordings[1].relationships();
+
+  t.deepEqual(
+    copies.map(r => [r.linkTypeID(), r.attributes().map(x => x.type.id)]),
+    [[148, [277]]],
+    'relationship is copied with its attributes',
+  );
+  t.equal(copies[0].begin_date.year(), '2001', 'dates are copied');
+  t.equal(source.relationships().length, 1, 'source is unchanged');
+});
+
+relationshipEditorTest((
+  'copying work relationships to the works of other recordings'
+), function (t) {
+  t.plan(4);
+
+  var vm = setupReleaseRelationshipEditor();
+  var recordings = vm.source.mediums()[0].tracks.map(x => x.recording);
+  var works = [
+    MB.entity({entityType: 'work', gid: fakeGID1, name: 'WorkFoo'}),
+    MB.entity({entityType: 'work', gid: fakeGID2, name: 'WorkBar'}),
+  ];
+
+  recordings.forEach(function (recording, i) {
+    vm.getRelationship({
+      target: works[i],
+      linkTypeID: 278,
+      attributes: [],
+    }, recording).show();
+  });
+
+  vm.getRelationship({
+    target: MB.entity({entityType: 'artist', gid: fakeGID0, name: 'foo'}),
+    linkTypeID: 168,
+    attributes: [],
+  }, works[0]).show();
+
+  var dialog = new CopyRelationshipsDialog(vm);
+  dialog.load(recordings[0], recordings);
+
+  t.deepEqual(
+    dialog.choices().map(choice => choice.selected()),
+    [false],
+    'performances aren’t selected by default',
+  );
+  t.deepEqual(
+    dialog.workChoices().map(choice => choice.selected()),
+    [false],
+    'work relationships are listed, but not selected by default',
+  );
+
+  dialog.workChoices()[0].selected(true);
+  dialog.apply();
+
+  t.deepEqual(
+    works[1].relationships()
+      .filter(r => r.entityTypes === 'artist-work')
+      .map(r => [r.linkTypeID(), r.target(works[1]).name]),
+    [[168, 'foo']],
+    'work relationships are copied to the other recording’s work',
+  );
+  t.deepEqual(
+    recordings[1].performances().map(r => r.target(recordings[1])),
+    [works[1]],
+    'performances aren’t copied unless selected',
+  );
+});
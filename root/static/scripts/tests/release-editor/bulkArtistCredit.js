@@ -0,0 +1,163 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import {reduceArtistCredit} from '../../common/immutable-entities';
+import bulkArtistCredit, {
+  stripArtists,
+} from '../../release-editor/bulkArtistCredit';
+import fields from '../../release-editor/fields';
+import releaseEditor from '../../release-editor/viewModel';
+
+import * as common from './common';
+
+const otherArtist = {
+  artist: {
+    comment: '',
+    entityType: 'artist',
+    gid: 'c4d1f0a0-3a67-4a4e-9e8e-3b9b8f3c1b4e',
+    id: 5,
+    name: 'Merzbow',
+    sort_name: 'Merzbow',
+  },
+  joinPhrase: '',
+  name: 'Merzbow',
+};
+
+const otherArtistCredit = {names: [otherArtist]};
+
+function bulkArtistCreditTest(name, callback) {
+  test(name, function (t) {
+    const release = new fields.Release(common.testRelease);
+    releaseEditor.rootField.release(release);
+
+    bulkArtistCredit.operation('apply');
+    bulkArtistCredit.artistCredit({names: []});
+    bulkArtistCredit.creditToReplace('');
+    bulkArtistCredit.fromTrack(null);
+    bulkArtistCredit.toTrack(null);
+
+    callback(t, release.mediums()[0].tracks());
+  });
+}
+
+test('stripArtists', function (t) {
+  t.plan(3);
+
+  const boredoms = common.testArtistCredit.names[0];
+  const gids = new Set([otherArtist.artist.gid]);
+
+  t.equal(
+    reduceArtistCredit(stripArtists({
+      names: [
+        {...boredoms, joinPhrase: ' & '},
+        {...otherArtist, joinPhrase: ' feat. '},
+        {...boredoms, name: 'Bore'},
+      ],
+    }, gids)),
+    'Boredoms feat. Bore',
+    'the join phrase of a removed name moves to the previous name',
+  );
+
+  t.equal(
+    reduceArtistCredit(stripArtists({
+      names: [{...otherArtist, joinPhrase: ' & '}, boredoms],
+    }, gids)),
+    'Boredoms',
+    'the first name can be removed',
+  );
+
+  t.equal(
+    stripArtists(otherArtistCredit, gids),
+    otherArtistCredit,
+    'a credit is never left empty',
+  );
+});
+
+bulkArtistCreditTest(
+  'a credit is applied to a range of tracks',
+  function (t, tracks) {
+    t.plan(3);
+
+    t.equal(
+      bulkArtistCredit.changes().length,
+      0,
+      'nothing changes without a complete artist credit',
+    );
+
+    bulkArtistCredit.artistCredit(otherArtistCredit);
+    bulkArtistCredit.fromTrack(tracks[1]);
+
+    t.deepEqual(
+      bulkArtistCredit.changes().map(x => x.label),
+      ['1.2'],
+      'only tracks in the range are changed',
+    );
+
+    bulkArtistCredit.apply();
+
+    t.deepEqual(
+      tracks.map(x => reduceArtistCredit(x.artistCredit())),
+      ['Boredoms', 'Merzbow'],
+      'the credit is applied',
+    );
+  },
+);
+
+bulkArtistCreditTest(
+  'a credit is replaced only where it matches',
+  function (t, tracks) {
+    t.plan(2);
+
+    tracks[0].artistCredit(otherArtistCredit);
+
+    t.deepEqual(
+      bulkArtistCredit.creditsToReplace(),
+      ['Boredoms', 'Merzbow'],
+      'the distinct credits of the selected tracks are offered',
+    );
+
+    bulkArtistCredit.operation('replace');
+    bulkArtistCredit.creditToReplace('Merzbow');
+    bulkArtistCredit.artistCredit({
+      names: [{...otherArtist, name: 'Masami Akita'}],
+    });
+    bulkArtistCredit.apply();
+
+    t.deepEqual(
+      tracks.map(x => reduceArtistCredit(x.artistCredit())),
+      ['Masami Akita', 'Boredoms'],
+      'only the matching credit is replaced',
+    );
+  },
+);
+
+bulkArtistCreditTest(
+  'featured artists are moved out of track titles',
+  function (t, tracks) {
+    t.plan(2);
+
+    tracks[0].name('○ (feat. Merzbow)');
+    bulkArtistCredit.operation('guessFeat');
+
+    const changes = bulkArtistCredit.changes();
+
+    t.deepEqual(
+      changes.map(x => [x.label, x.name, x.newCreditText]),
+      [['1.1', '○', 'Boredoms feat. Merzbow']],
+      'the change is previewed',
+    );
+
+    t.equal(
+      tracks[0].name(),
+      '○ (feat. Merzbow)',
+      'the track is left alone until the change is applied',
+    );
+  },
+);
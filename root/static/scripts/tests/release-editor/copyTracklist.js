@@ -0,0 +1,48 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import copyTracklist from '../../release-editor/copyTracklist';
+import fields from '../../release-editor/fields';
+
+import * as common from './common';
+
+test('selected mediums are copied from another release', function (t) {
+  t.plan(3);
+
+  const release = common.setupReleaseAdd();
+  const loadTracks = fields.Medium.prototype.loadTracks;
+  const loadedIDs = [];
+
+  fields.Medium.prototype.loadTracks = function () {
+    loadedIDs.push(this.originalID);
+  };
+
+  copyTracklist.mediums([
+    {data: {format_id: 1, id: 11, name: 'A', position: 1}},
+    {data: {format_id: 1, id: 12, name: 'B', position: 2}},
+    {data: {format_id: 1, id: 13, name: 'C', position: 3}},
+  ].map(function (medium) {
+    medium.selected = () => medium.data.id !== 12;
+    return medium;
+  }));
+
+  copyTracklist.copyMediums();
+  fields.Medium.prototype.loadTracks = loadTracks;
+
+  const mediums = release.mediums();
+
+  t.deepEqual(
+    mediums.map(x => [x.position(), x.name()]),
+    [[1, 'A'], [2, 'C']],
+    'the empty medium is replaced, and unloaded copies are kept',
+  );
+  t.ok(mediums.every(x => !x.id), 'copied mediums are new');
+  t.deepEqual(loadedIDs, [11, 13], 'tracks are loaded from the originals');
+});
@@ -168,3 +168,84 @@ dialogTest((
     'mediums are not reordered',
   );
 });
+
+dialogTest((
+  'track parser fills and creates mediums from medium headers'
+), function (t, release) {
+  t.plan(4);
+
+  var mediums = release.mediums;
+
+  trackParserDialog.open(mediums()[0]);
+  trackParserDialog.toBeParsed([
+    'Disc 1',
+    '1. Foo (1:23)',
+    'CD2: Bonus Tracks',
+    '1. Bar (2:34)',
+    '2. Baz (3:45)',
+  ].join('\n'));
+  trackParserDialog.parse();
+
+  t.equal(mediums().length, 2, 'a second medium was created');
+  t.deepEqual(
+    mediums().map(x => x.tracks().map(track => track.name())),
+    [['Foo'], ['Bar', 'Baz']],
+    'tracks were parsed into their mediums',
+  );
+  t.equal(mediums()[1].position(), 2, 'the new medium has position 2');
+  t.equal(mediums()[1].name(), 'Bonus Tracks', 'medium name was used');
+});
+
+dialogTest((
+  'tracks before the header of the current medium are kept'
+), function (t, release) {
+  t.plan(2);
+
+  var mediums = release.mediums;
+
+  trackParserDialog.open(mediums()[0]);
+  trackParserDialog.toBeParsed([
+    '1. Foo (1:23)',
+    'Disc 1',
+    '2. Bar (2:34)',
+    'Disc 2',
+    '1. Baz (3:45)',
+  ].join('\n'));
+  trackParserDialog.parse();
+
+  t.equal(mediums().length, 2, 'a second medium was created');
+  t.deepEqual(
+    mediums().map(x => x.tracks().map(track => track.name())),
+    [['Foo', 'Bar'], ['Baz']],
+    'both parts were parsed into the first medium',
+  );
+});
+
+dialogTest((
+  'vinyl sides in the add-disc dialog are split into mediums'
+), function (t, release) {
+  t.plan(3);
+
+  trackParser.options.hasVinylNumbers = true;
+
+  addDiscDialog.open();
+  addDiscDialog.currentTab(trackParserDialog);
+  addDiscDialog.trackParser.toBeParsed([
+    'A1. One', 'B1. Two', 'C1. Three', 'D1. Four',
+  ].join('\n'));
+  addDiscDialog.addDisc();
+
+  var mediums = release.mediums();
+
+  t.equal(mediums.length, 2, 'two mediums were added');
+  t.deepEqual(
+    mediums.map(x => x.tracks().map(track => track.number())),
+    [['A1', 'B1'], ['C1', 'D1']],
+    'sides were grouped in pairs',
+  );
+  t.deepEqual(
+    mediums.map(x => x.formatID()),
+    [7, 7],
+    'mediums were guessed to be vinyl',
+  );
+});
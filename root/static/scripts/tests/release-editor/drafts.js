@@ -0,0 +1,110 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import fields from '../../release-editor/fields';
+import releaseEditor from '../../release-editor/viewModel';
+
+import * as common from './common';
+
+import '../../release-editor/drafts';
+
+test('drafts can be saved, restored and discarded', function (t) {
+  t.plan(6);
+
+  var release = common.setupReleaseEdit();
+  releaseEditor.draftKey = 'edit.' + release.gid();
+
+  release.name('Vision Creation Newsun (draft)');
+  release.mediums()[0].tracks()[1].name('☆ (draft)');
+  releaseEditor.rootField.editNote('draft edit note');
+  releaseEditor.saveDraft();
+
+  t.ok(
+    releaseEditor.savedDrafts().some(x => x.key === releaseEditor.draftKey),
+    'draft is listed',
+  );
+
+  // Simulate reloading the page.
+  release = new fields.Release(common.testRelease);
+  releaseEditor.rootField.release(release);
+  releaseEditor.rootField.editNote('');
+  releaseEditor.availableDraft({
+    key: releaseEditor.draftKey,
+    data: releaseEditor.loadDraft(releaseEditor.draftKey),
+  });
+  releaseEditor.restoreDraft();
+
+  t.equal(release.name(), 'Vision Creation Newsun (draft)', 'name is restored');
+  t.equal(
+    release.mediums()[0].tracks()[1].name(),
+    '☆ (draft)',
+    'track name is restored',
+  );
+  t.equal(
+    releaseEditor.rootField.editNote(),
+    'draft edit note',
+    'edit note is restored',
+  );
+  t.ok(
+    releaseEditor.edits.medium(release).length > 0,
+    'restored tracklist changes create medium edits',
+  );
+
+  releaseEditor.discardDraft(releaseEditor.draftKey);
+
+  t.equal(
+    releaseEditor.loadDraft(releaseEditor.draftKey),
+    null,
+    'draft is discarded',
+  );
+
+  releaseEditor.draftKey = null;
+  releaseEditor.rootField.editNote('');
+});
+
+test('unseeded releases being added get a draft per page', function (t) {
+  t.plan(4);
+
+  var action = releaseEditor.action;
+  releaseEditor.action = 'add';
+  window.sessionStorage.removeItem('releaseEditorPageID');
+
+  var key = releaseEditor.getDraftKey({});
+  t.equal(
+    releaseEditor.getDraftKey({seed: {errors: [], seed: {}}}),
+    key,
+    'the key is kept when the page is reloaded',
+  );
+
+  // Simulate opening the release editor in another tab.
+  window.sessionStorage.removeItem('releaseEditorPageID');
+  t.notEqual(
+    releaseEditor.getDraftKey({}),
+    key,
+    'another page gets another key',
+  );
+
+  var seed = {errors: [], seed: {name: 'Vision Creation Newsun'}};
+  var seededKey = releaseEditor.getDraftKey({seed: seed});
+  window.sessionStorage.removeItem('releaseEditorPageID');
+  t.equal(
+    releaseEditor.getDraftKey({seed: seed}),
+    seededKey,
+    'seeded releases are keyed by their seed on any page',
+  );
+
+  t.equal(
+    releaseEditor.getDraftKey({}, '?draft=' + encodeURIComponent(key)),
+    key,
+    'drafts opened from the saved drafts list keep their key',
+  );
+
+  releaseEditor.action = action;
+});
@@ -8,6 +8,7 @@
 
 import '../typeInfo';
 
+import $ from 'jquery';
 import ko from 'knockout';
 import test from 'tape';
 
@@ -418,3 +419,117 @@ test((
 
   t.deepEqual(edits, []);
 });
+
+test('failed submissions only retry the remaining batches', function (t) {
+  t.plan(5);
+
+  var release = common.setupReleaseEdit();
+  release.name('Vision Creation Newsun (retry)');
+  release.mediums()[0].tracks()[0].name('foo');
+
+  var originalCreate = MB.edit.create;
+  var submittedTypes = [];
+
+  MB.edit.create = function (data) {
+    var editTypes = data.edits.map(x => x.edit_type);
+    submittedTypes.push(editTypes);
+
+    if (editTypes.includes(MB.edit.TYPES.EDIT_RELEASE_EDIT)) {
+      return $.Deferred().resolve({
+        edits: [{edit_id: 101, edit_type: editTypes[0], response: 1}],
+      });
+    }
+    return $.Deferred().reject({
+      responseText: JSON.stringify({error: 'Medium edit failed'}),
+      status: 400,
+    });
+  };
+
+  releaseEditor.submissionStates([]);
+  releaseEditor.submitEdits();
+
+  setTimeout(function () {
+    var states = releaseEditor.submissionStates();
+    var releaseState = states.find(x => x.name() === 'Release');
+    var mediumState = states.find(x => x.name() === 'Mediums');
+
+    t.deepEqual(releaseState.editIDs(), [101], 'release edit ID is kept');
+    t.equal(mediumState.status(), 'failed', 'medium batch failed');
+    t.equal(
+      releaseEditor.submissionError(),
+      'Medium edit failed',
+      'error is shown',
+    );
+
+    submittedTypes = [];
+    releaseEditor.submitEdits();
+
+    setTimeout(function () {
+      t.ok(
+        !submittedTypes.flat().includes(MB.edit.TYPES.EDIT_RELEASE_EDIT),
+        'release edit is not submitted again',
+      );
+      t.ok(
+        submittedTypes.flat().includes(MB.edit.TYPES.EDIT_MEDIUM_EDIT),
+        'medium edits are retried',
+      );
+
+      MB.edit.create = originalCreate;
+      releaseEditor.submissionStates([]);
+      releaseEditor.submissionError(null);
+    }, 20);
+  }, 20);
+});
+
+test((
+  'network errors are not retried, and changes made since are entered'
+), function (t) {
+  t.plan(4);
+
+  var release = common.setupReleaseEdit();
+  release.name('Vision Creation Newsun (network error)');
+  release.mediums()[0].tracks()[0].name('foo');
+
+  var originalCreate = MB.edit.create;
+  var submittedEdits = [];
+
+  MB.edit.create = function (data) {
+    submittedEdits.push(data.edits);
+
+    var editType = data.edits[0].edit_type;
+
+    if (editType === MB.edit.TYPES.EDIT_RELEASE_EDIT) {
+      return $.Deferred().resolve({
+        edits: [{edit_id: 102, edit_type: editType, response: 1}],
+      });
+    }
+    return $.Deferred().reject({status: 503, statusText: 'Unavailable'});
+  };
+
+  releaseEditor.submissionStates([]);
+  releaseEditor.submitEdits();
+
+  setTimeout(function () {
+    var mediumEdits = submittedEdits.filter(
+      x => x[0].edit_type === MB.edit.TYPES.EDIT_MEDIUM_EDIT,
+    );
+    t.equal(mediumEdits.length, 1, 'medium edits are sent only once');
+
+    submittedEdits = [];
+    release.comment('changed after the release edit went in');
+    releaseEditor.submitEdits();
+
+    setTimeout(function () {
+      var releaseEdits = submittedEdits.flat().filter(
+        x => x.edit_type === MB.edit.TYPES.EDIT_RELEASE_EDIT,
+      );
+      t.equal(releaseEdits.length, 1, 'a new release edit is entered');
+      t.equal(releaseEdits[0].comment, 'changed after the release edit went in');
+      t.ok(!('name' in releaseEdits[0]), 'the name isn’t changed again');
+
+      MB.edit.create = originalCreate;
+      releaseEditor.submissionStates([]);
+      releaseEditor.submissionError(null);
+    }, 20);
+  }, 20);
+});
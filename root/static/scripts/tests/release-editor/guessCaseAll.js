@@ -0,0 +1,74 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import gc from '../../guess-case/MB/GuessCase/Main';
+import * as modes from '../../guess-case/modes';
+import fields from '../../release-editor/fields';
+import guessCaseAll, {diffWords} from '../../release-editor/guessCaseAll';
+import releaseEditor from '../../release-editor/viewModel';
+
+import * as common from './common';
+
+test('diffWords', function (t) {
+  t.plan(2);
+
+  const {newParts, oldParts} = diffWords('love song', 'Love Song');
+
+  t.deepEqual(
+    oldParts.filter(x => x.isWord).map(x => x.text),
+    ['love', 'song'],
+    'changed words on the old side can be kept',
+  );
+  t.deepEqual(
+    newParts.map(x => [x.text, x.changed]),
+    [['Love', true], [' ', false], ['Song', true]],
+    'changed words are marked on the new side',
+  );
+});
+
+test('titles are guessed across the release', function (t) {
+  t.plan(5);
+
+  gc.mode = modes.English;
+  guessCaseAll.setExceptions([]);
+
+  const release = new fields.Release(common.testRelease);
+  releaseEditor.rootField.release(release);
+  release.name('the release');
+
+  const tracks = release.mediums()[0].tracks();
+  tracks[0].name('first track');
+  tracks[1].name('Second Track');
+
+  guessCaseAll.preview();
+  const changes = guessCaseAll.changes();
+
+  t.deepEqual(
+    changes.map(x => [x.oldName, x.newName]),
+    [['the release', 'The Release'], ['first track', 'First Track']],
+    'only titles guess case would change are listed',
+  );
+
+  changes[0].accepted(false);
+  guessCaseAll.apply();
+
+  t.equal(release.name(), 'the release', 'rejected changes aren’t applied');
+  t.equal(tracks[0].name(), 'First Track', 'accepted changes are applied');
+
+  guessCaseAll.keepWord({text: 'release'});
+  t.deepEqual(
+    guessCaseAll.changes().map(x => x.newName),
+    ['The release'],
+    'kept words are left alone',
+  );
+  t.deepEqual(guessCaseAll.exceptions(), ['release'], 'kept words are listed');
+
+  guessCaseAll.setExceptions([]);
+});
@@ -0,0 +1,118 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import fields from '../../release-editor/fields';
+import history from '../../release-editor/history';
+import trackParser from '../../release-editor/trackParser';
+import releaseEditor from '../../release-editor/viewModel';
+
+import * as common from './common';
+
+import '../../release-editor/actions';
+
+function historyTest(name, callback) {
+  test(name, function (t) {
+    var release = new fields.Release(common.testRelease);
+    releaseEditor.rootField.release(release);
+
+    history.clear();
+    history.enabled = true;
+
+    callback(t, release);
+
+    history.enabled = false;
+    history.clear();
+  });
+}
+
+historyTest('field changes can be undone and redone', function (t, release) {
+  t.plan(5);
+
+  var track = release.mediums()[0].tracks()[0];
+
+  release.name('foo');
+  history.flush();
+  track.name('bar');
+  track.number('A1');
+
+  history.undo();
+  t.equal(track.name(), '○', 'track name is undone');
+  t.equal(track.number(), '1', 'changes in the same tick are undone together');
+  t.equal(release.name(), 'foo', 'earlier changes are kept');
+
+  history.undo();
+  t.equal(release.name(), 'Vision Creation Newsun', 'release name is undone');
+
+  history.redo();
+  history.redo();
+  t.deepEqual(
+    [release.name(), track.name(), track.number()],
+    ['foo', 'bar', 'A1'],
+    'changes are redone',
+  );
+});
+
+historyTest('track parser runs can be undone', function (t, release) {
+  t.plan(2);
+
+  trackParser.options = {
+    hasTrackNumbers: false,
+    hasVinylNumbers: false,
+    hasTrackArtists: false,
+    useTrackNumbers: false,
+    useTrackArtists: false,
+    useTrackNames: true,
+    useTrackLengths: false,
+  };
+
+  var medium = release.mediums()[0];
+  var oldTracks = medium.tracks();
+
+  medium.cdtocs = [];
+  medium.tracks(trackParser.parse('☆\n○\nthree', medium));
+
+  history.undo();
+  t.deepEqual(medium.tracks(), oldTracks, 'tracks are restored');
+  t.deepEqual(
+    medium.tracks().map(x => x.position()),
+    [1, 2],
+    'reused tracks get their old positions back',
+  );
+});
+
+historyTest('medium moves can be undone', function (t, release) {
+  t.plan(2);
+
+  release.mediums.push(new fields.Medium(common.testMedium, release));
+  history.flush();
+
+  var mediums = release.mediums().slice(0);
+  releaseEditor.moveMediumDown(mediums[0]);
+
+  history.undo();
+  t.deepEqual(release.mediums(), mediums, 'medium order is restored');
+  t.deepEqual(
+    release.mediums().map(x => x.position()),
+    [1, 2],
+    'medium positions are restored',
+  );
+});
+
+historyTest('new changes clear the redo stack', function (t, release) {
+  t.plan(2);
+
+  release.comment('foo');
+  history.undo();
+  t.ok(history.canRedo(), 'can redo after undoing');
+
+  release.comment('bar');
+  history.flush();
+  t.ok(!history.canRedo(), 'cannot redo after a new change');
+});
@@ -0,0 +1,121 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import recordingAssociation, {
+  scoreRecording,
+} from '../../release-editor/recordingAssociation';
+
+const artistCredit = {
+  names: [
+    {artist: {gid: '0798d15b-64e2-499f-9969-70167b1d8617'}, name: 'A'},
+    {artist: {gid: '5441c29d-3602-4898-b1a1-b77fa23b8e50'}, name: 'B'},
+  ],
+};
+
+const track = {
+  artistCredit: () => artistCredit,
+  length: () => 180000,
+  name: () => 'Love Song',
+};
+
+function recording(data) {
+  return {
+    artistCredit: {names: [artistCredit.names[0]]},
+    gid: 'a1b2c3d4-0000-4000-8000-000000000000',
+    length: 181000,
+    name: 'Love Song',
+    ...data,
+  };
+}
+
+test('matches are explained', function (t) {
+  t.plan(3);
+
+  const match = scoreRecording(
+    track,
+    recording({
+      appearsOn: {results: [{}, {}]},
+      length: 184000,
+      name: 'Love Song (live)',
+    }),
+    new Set(['a1b2c3d4-0000-4000-8000-000000000000']),
+  );
+
+  t.ok(match.score > 0.9, 'the recording matches');
+  t.deepEqual(
+    [
+      match.nameSimilarity,
+      match.lengthDifference,
+      match.matchingArtists,
+      match.trackArtists,
+      match.inReleaseGroup,
+    ],
+    [1, 4000, 1, 2, true],
+    'each part of the match is recorded',
+  );
+  t.equal(
+    recordingAssociation.explainMatch(match),
+    'title 100% similar, length differs by 0:04, ' +
+      '1 of 2 track artists credited, in this release group, ' +
+      'appears on 2 release groups',
+    'the explanation lists each part',
+  );
+});
+
+test('the length tolerance and similarity are configurable', function (t) {
+  t.plan(4);
+
+  const options = recordingAssociation.options;
+  const lengthTolerance = options.lengthTolerance.peek();
+  const minSimilarity = options.minSimilarity.peek();
+
+  const farRecording = recording({length: 190000});
+  t.ok(
+    scoreRecording(track, farRecording, null),
+    'a recording within the default tolerance matches',
+  );
+
+  options.lengthTolerance(5);
+  t.equal(
+    scoreRecording(track, farRecording, null),
+    null,
+    'a recording outside the tolerance doesn’t match',
+  );
+
+  const otherRecording = recording({name: 'Love Songs'});
+  t.ok(
+    scoreRecording(track, otherRecording, null),
+    'a similar title matches by default',
+  );
+
+  options.minSimilarity(99.9);
+  t.equal(
+    scoreRecording(track, otherRecording, null),
+    null,
+    'a similar title doesn’t match with a higher threshold',
+  );
+
+  options.lengthTolerance(lengthTolerance);
+  options.minSimilarity(minSimilarity);
+});
+
+test('recordings with the same ISRC always match', function (t) {
+  t.plan(2);
+
+  const match = scoreRecording(
+    track,
+    recording({length: 240000, name: 'Hate Song'}),
+    null,
+    true,
+  );
+
+  t.ok(match, 'the recording matches despite its title and length');
+  t.ok(match.isrcMatch, 'the match is marked as an ISRC match');
+});
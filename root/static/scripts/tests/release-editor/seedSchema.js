@@ -0,0 +1,120 @@
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+import test from 'tape';
+
+import validateSeed from '../../release-editor/seedSchema';
+import releaseEditor from '../../release-editor/viewModel';
+
+import '../../release-editor/seeding';
+
+test('valid JSON seeds have no errors', function (t) {
+  t.plan(1);
+
+  t.deepEqual(validateSeed({
+    artist_credit: {
+      names: [{mbid: '89ad4ac3-39f7-470e-963a-56509c546377', name: 'VA'}],
+    },
+    events: [{country: 'JP', date: {year: 2002, month: '06'}}],
+    labels: [{catalog_number: 'WPC6-10044', name: 'WEA Japan'}],
+    make_votable: true,
+    mediums: [{
+      format: 'CD',
+      track: [
+        {length: '4:33', name: 'Track 1'},
+        {
+          isrcs: ['JPWA00201234'],
+          length: 215000,
+          name: 'Track 2',
+          number: 2,
+        },
+      ],
+    }],
+    name: 'Vision Creation Newsun',
+    type: ['Album', 'Live'],
+    urls: [{link_type: 76, url: 'https://example.com/'}],
+  }), []);
+});
+
+test('JSON seed errors point at the field that is wrong', function (t) {
+  t.plan(1);
+
+  t.deepEqual(validateSeed({
+    labels: {name: 'WEA Japan'},
+    mediums: [{
+      track: [
+        {name: 'Track 1'},
+        {length: 'long', name: 'Track 2'},
+        {name: ['Track 3']},
+        {isrcs: ['JP-WA0-02-01234', 'JPWA0020123'], name: 'Track 4'},
+      ],
+      tracks: [],
+    }],
+    release_group: 'not an mbid',
+  }).map(x => x.message), [
+    'labels must be an array, not an object.',
+    'mediums[0].track[1].length must be a length in milliseconds ' +
+      'or as “m:ss”, not “long”.',
+    'mediums[0].track[2].name must be a string, not an array.',
+    'mediums[0].track[3].isrcs[1] must be an ISRC, not “JPWA0020123”.',
+    'Unknown field: mediums[0].tracks.',
+    'release_group must be an MBID, not “not an mbid”.',
+  ]);
+});
+
+test('schema errors replace server errors for the same field', function (t) {
+  t.plan(1);
+
+  releaseEditor.action = 'edit';
+  releaseEditor.seedErrors(null);
+  releaseEditor.seed({
+    errors: [
+      'mediums.0.track.0.name must be a scalar, not a hash or array.',
+      'Invalid language: “xyz”.',
+    ],
+    json: JSON.stringify({
+      language: 'xyz',
+      mediums: [{track: [{name: {}}]}],
+    }),
+    seed: {},
+  });
+
+  t.deepEqual(releaseEditor.seedErrors(), [
+    'mediums[0].track[0].name must be a string, not an object.',
+    'Invalid language: “xyz”.',
+  ]);
+  releaseEditor.seedErrors(null);
+});
+
+test((
+  'server errors are only replaced by errors for their own field'
+), function (t) {
+  t.plan(1);
+
+  releaseEditor.action = 'edit';
+  releaseEditor.seedErrors(null);
+  releaseEditor.seed({
+    errors: [
+      'Invalid release group type: “3”.',
+      'Invalid mediums.0.format: “Cassete”.',
+      'Unknown field: mediums.0.track.0.title',
+    ],
+    json: JSON.stringify({
+      mediums: 'CD',
+      type: 3,
+    }),
+    seed: {},
+  });
+
+  t.deepEqual(releaseEditor.seedErrors(), [
+    'mediums must be an array, not a string.',
+    'type must be a string or an array, not an integer.',
+    'Invalid release group type: “3”.',
+  ]);
+  releaseEditor.seedErrors(null);
+});
@@ -573,3 +573,186 @@ parserTest('force number of tracks to equal CD TOC', function (t) {
     ['Track A', 'Very Different Title', 'Another Data Track'],
   );
 });
+
+parserTest('CUE sheets', function (t) {
+  t.plan(1);
+
+  Object.assign(trackParser.options, {
+    useTrackNumbers: true,
+    useTrackNames: true,
+    useTrackArtists: true,
+    useTrackLengths: true,
+  });
+
+  var input = [
+    'REM GENRE Rock',
+    'PERFORMER "Boredoms"',
+    'TITLE "Vision Creation Newsun"',
+    'FILE "Vision Creation Newsun.wav" WAVE',
+    '  TRACK 01 AUDIO',
+    '    TITLE "○"',
+    '    INDEX 01 00:00:00',
+    '  TRACK 02 AUDIO',
+    '    TITLE "☆"',
+    '    PERFORMER "V∞redoms"',
+    '    INDEX 00 13:40:00',
+    '    INDEX 01 13:42:07',
+    '  TRACK 03 AUDIO',
+    '    TITLE "❍"',
+    '    INDEX 01 19:05:00',
+  ].join('\n');
+
+  t.deepEqual(
+    trackParser.parse(input).map(x => ({
+      number: x.number(),
+      name: x.name(),
+      artist: reduceArtistCredit(x.artistCredit()),
+      length: x.length(),
+    })),
+    [
+      {number: '1', name: '○', artist: 'Boredoms', length: 822093},
+      {number: '2', name: '☆', artist: 'V∞redoms', length: 322907},
+      {number: '3', name: '❍', artist: 'Boredoms', length: undefined},
+    ],
+  );
+});
+
+parserTest('CUE sheets with multiple FILEs', function (t) {
+  t.plan(1);
+
+  Object.assign(trackParser.options, {
+    useTrackNames: true,
+    useTrackLengths: true,
+  });
+
+  var input = [
+    'FILE "01.wav" WAVE',
+    '  TRACK 01 AUDIO',
+    '    TITLE "A"',
+    '    INDEX 01 00:00:00',
+    '  TRACK 02 AUDIO',
+    '    TITLE "B"',
+    '    INDEX 00 03:00:00',
+    'FILE "02.wav" WAVE',
+    '    INDEX 01 00:00:00',
+    '  TRACK 03 AUDIO',
+    '    TITLE "C"',
+    '    INDEX 01 04:00:00',
+    'FILE "03.wav" WAVE',
+    '  TRACK 04 AUDIO',
+    '    TITLE "D"',
+    '    INDEX 01 00:00:00',
+  ].join('\n');
+
+  common.trackParserTest(t, input, [
+    {position: 1, name: 'A', formattedLength: '3:00'},
+    {position: 2, name: 'B', formattedLength: '4:00'},
+    {position: 3, name: 'C', formattedLength: ''},
+    {position: 4, name: 'D', formattedLength: ''},
+  ]);
+});
+
+parserTest('spreadsheet rows with a header (TSV and CSV)', function (t) {
+  t.plan(2);
+
+  Object.assign(trackParser.options, {
+    hasTrackArtists: true,
+    useTrackNumbers: true,
+    useTrackNames: true,
+    useTrackArtists: true,
+    useTrackLengths: true,
+  });
+
+  function getData(x) {
+    return {
+      number: x.number(),
+      name: x.name(),
+      artist: reduceArtistCredit(x.artistCredit()),
+      formattedLength: x.formattedLength(),
+    };
+  }
+
+  var tsv = [
+    'Track Number\tTitle\tArtist\tComment\tDuration',
+    'A1\tGlitch - Edit\tSome Band\tignored\t2:51',
+    'A2\tRot Beat\tOther Band, The\t\t1:07',
+  ].join('\n');
+
+  t.deepEqual(trackParser.parse(tsv).map(getData), [
+    {number: 'A1', name: 'Glitch - Edit', artist: 'Some Band', formattedLength: '2:51'},
+    {number: 'A2', name: 'Rot Beat', artist: 'The Other Band', formattedLength: '1:07'},
+  ]);
+
+  var csv = [
+    '#,name,artist,length',
+    '1,"Hello, ""World""",Someone,3:00',
+    '2,Untimed,Someone,',
+  ].join('\r\n');
+
+  t.deepEqual(trackParser.parse(csv).map(getData), [
+    {number: '1', name: 'Hello, "World"', artist: 'Someone', formattedLength: '3:00'},
+    {number: '2', name: 'Untimed', artist: 'Someone', formattedLength: ''},
+  ]);
+});
+
+parserTest('JSON arrays of tracks', function (t) {
+  t.plan(2);
+
+  Object.assign(trackParser.options, {
+    useTrackNumbers: true,
+    useTrackNames: true,
+    useTrackLengths: true,
+  });
+
+  var input = JSON.stringify([
+    {number: 1, title: 'Kermis', artist: 'Someone', length: '2:04'},
+    {number: '2', name: 'Glitch', length: 171000},
+  ]);
+
+  common.trackParserTest(t, input, [
+    {number: '1', name: 'Kermis', formattedLength: '2:04'},
+    {number: '2', name: 'Glitch', formattedLength: '2:51'},
+  ]);
+
+  // useTrackArtists is off, so the artist is ignored.
+  t.deepEqual(
+    trackParser.parse(input).map(x => x.artistCredit().names),
+    [[{name: ''}], [{name: ''}]],
+  );
+});
+
+parserTest('splitting pastes by medium headers', function (t) {
+  t.plan(3);
+
+  t.deepEqual(
+    trackParser.splitMediums([
+      'Disc 1',
+      'Track A',
+      '',
+      'Side C',
+      'Track B',
+      'Side D: Live',
+      'Track C',
+    ].join('\n')),
+    [
+      {position: 1, name: '', isVinyl: false, text: 'Track A\n'},
+      {position: 2, name: '', isVinyl: true, text: 'Track B\nTrack C'},
+    ],
+  );
+
+  t.deepEqual(
+    trackParser.splitMediums('Track A\nTrack B'),
+    [{position: null, name: '', isVinyl: false, text: 'Track A\nTrack B'}],
+  );
+
+  t.deepEqual(
+    trackParser.splitMediums('Side A - Artist\nSide B - Artist'),
+    [{
+      position: null,
+      name: '',
+      isVinyl: false,
+      text: 'Side A - Artist\nSide B - Artist',
+    }],
+    'tracks named after sides aren’t headers',
+  );
+});
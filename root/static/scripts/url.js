@@ -2,7 +2,7 @@ import $ from 'jquery';
 import ko from 'knockout';
 
 import MB from './common/MB';
-import {getUnicodeUrl} from './edit/externalLinks';
+import {getUnicodeUrl} from './edit/utility/urlValidation';
 import {registerEvents} from './edit/URLCleanup';
 
 $(function () {
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/*
+ * Copyright (C) 2021 MetaBrainz Foundation
+ *
+ * This file is part of MusicBrainz, the open internet music database,
+ * and is licensed under the GPL version 2, or (at your option) any
+ * later version: http://www.gnu.org/licenses/gpl-2.0.txt
+ */
+
+/* eslint-disable import/no-commonjs */
+
+/*
+ * Cleans, classifies and validates a list of URLs with the same rules
+ * used by the external links editor, e.g.:
+ *
+ *   ./script/check_urls.js --entity-type artist urls.txt > checked.json
+ *
+ * The input has one URL per line, and is read from standard input if no
+ * file is given. The output is a JSON array with an object per URL; see
+ * CheckedURLT in root/static/scripts/edit/utility/checkURL.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const rootPath = path.resolve(__dirname, '..');
+
+require('@babel/register')({
+  ignore: [/node_modules/],
+  only: [rootPath],
+  root: rootPath,
+});
+
+const argv = require('yargs')
+  .usage('Usage: $0 --entity-type TYPE [FILE]')
+  .option('entity-type', {
+    describe: 'The entity type the URLs would be linked to.',
+    type: 'string',
+  })
+  .required('entity-type')
+  .option('pretty', {
+    describe: 'Indent the JSON output.',
+    type: 'boolean',
+  })
+  .argv;
+
+/*
+ * The browser bundles get the i18n functions as globals through webpack's
+ * ProvidePlugin; set up the same globals here.
+ */
+const providePluginConfig = require('../webpack/providePluginConfig');
+
+for (const [name, [modulePath, exportName]] of
+  Object.entries(providePluginConfig)) {
+  // eslint-disable-next-line import/no-dynamic-require
+  const value = require(modulePath)[exportName];
+  const [object, property] = name.split('.');
+
+  if (property) {
+    global[object] = global[object] || {};
+    global[object][property] = value;
+  } else {
+    global[object] = value;
+  }
+}
+
+const {checkURLs} =
+  require('../root/static/scripts/edit/utility/checkURL');
+
+const input = fs.readFileSync(argv._.length ? argv._[0] : 0, 'utf8');
+
+const urls = input.split('\n').filter(line => line.trim());
+
+process.stdout.write(
+  JSON.stringify(
+    checkURLs(urls, argv['entity-type']),
+    null,
+    argv.pretty ? 2 : 0,
+  ) + '\n',
+);